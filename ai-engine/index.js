@@ -6,18 +6,45 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { TurnDetector, pcm16ToWav } from './modules/turnDetector.js';
+import { createLLMProvider, LLMError } from './modules/llmProvider.js';
+import { createSTTProvider, STTError } from './modules/sttProvider.js';
+import { AICloneService } from './modules/aiClone.js';
+import { createNotifier } from './modules/notifier.js';
+import { createConversationIds } from './modules/conversationIds.js';
+import {
+  ESCALATION_THRESHOLDS, URGENCY_RANK, dispatchEscalation, maxUrgency, mergeEscalationSettings, normalizeUrgency,
+} from './modules/escalation.js';
+import { haversineMeters, bearingDegrees, compassPoint, simplifyTrack, downsampleTrack, capTrack } from './modules/geo.js';
+import { createGeocoder, GeocoderError } from './modules/geocoder.js';
+import { classifyMovement, movementThresholdsFromEnv } from './modules/movement.js';
+import { screenFixes, validFix } from './modules/locationFixes.js';
+import { fuseDeviceFixes } from './modules/deviceFusion.js';
+import { pickHome, travelStateFor, travelText } from './modules/travel.js';
+import { buildPersonaCard, buildSystemPrompt, coalesceName, pickAllowedLanguage, sanitizeVoiceId } from './modules/persona.js';
+import {
+  asksForAvailability, asksForLocation, asksForProximity, asksToLeaveMessage, guessUrgency, messageHasContent, pickCalendarRange,
+} from './modules/intents.js';
+import {
+  LOCATION_PRECISION_DECIMALS, addressForPrecision, coarsenFix, formatAddressLine, normalizePrecision,
+} from './modules/locationPrecision.js';
+import { openEventStream, sendEvent, wantsEventStream } from './modules/eventStream.js';
 
 // ---------- Config ----------
 const app = express();
 app.use(express.json({ limit: '1mb', type: ['application/json', 'text/json'] }));
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type',
     'Accept',
     'Authorization',
     'X-VM-Reason',
+    'X-VM-Session',
   ],
   exposedHeaders: [
     'X-Store',
@@ -30,40 +57,46 @@ app.use(cors({
     'X-Conversation-Id',
     'X-Target-UserId',
     'X-Calendar',
+    'X-Message-Id',
   ],
 }));
 
 const isVercel     = process.env.VERCEL === '1';
-const GROQ_KEY     = process.env.GROQ_API_KEY;
 const ELEVEN_URL   = process.env.VOICE_BACKEND_BASE || 'https://virtual-me-backend.vercel.app'; // TTS proxy
 const AUTH_API     = process.env.AUTH_API_BASE || 'https://virtual-me-auth.vercel.app';
 const PUBLIC_DEFAULT_TARGET_USER_ID = (process.env.PUBLIC_DEFAULT_TARGET_USER_ID || '').trim() || null;
+// How precisely anonymous (public) callers may learn the public persona's location
+const PUBLIC_LOCATION_PRECISION = ['exact', 'street', 'neighbourhood', 'city', 'hidden'].includes(process.env.PUBLIC_LOCATION_PRECISION)
+  ? process.env.PUBLIC_LOCATION_PRECISION
+  : 'city';
 
 const DEFAULT_VOICE_ID = process.env.VOICE_ID || '8WGkRzOA8ctbz8pu804L';
-const STT_MODEL  = process.env.GROQ_STT_MODEL  || 'whisper-large-v3-turbo';
-const CHAT_MODEL = process.env.GROQ_CHAT_MODEL || 'llama-3.1-8b-instant';
 const MAX_TOKENS = Number(process.env.MAX_TOKENS || 768);
 
-if (!GROQ_KEY) console.warn('⚠️ Missing GROQ_API_KEY');
+// Chat LLM: LLM_PROVIDER=groq (default) | openai (any OpenAI-compatible LLM_BASE_URL) | fake
+const llm = createLLMProvider(process.env);
+// Speech-to-text: STT_PROVIDER=groq (default) | local (whisper.cpp / faster-whisper) | fake (fixtures)
+const sttProvider = createSTTProvider(process.env);
+// Message analysis (intent / tone / urgency) runs on the same LLM provider
+const aiClone = new AICloneService(null, { provider: llm });
+// Escalation delivery: ESCALATION_NOTIFIER=log (default) | webhook | push
+const notifier = createNotifier(process.env);
+// Reverse/forward geocoding: GEOCODER=nominatim (default) | selfhosted (GEOCODER_URL) | offline (GEOCODER_PLACES_FILE),
+// cached in the KV store by rounded coordinates
+const geocoder = createGeocoder(process.env, { cache: { get: key => storeGet(key), set: (key, value, opts) => storeSet(key, value, opts) } });
+
+if (sttProvider.configError) console.warn(`⚠️ STT provider "${sttProvider.name}": ${sttProvider.configError}`);
+if (llm.configError) console.warn(`⚠️ LLM provider "${llm.name}": ${llm.configError}`);
+if (geocoder.configError) console.warn(`⚠️ Geocoder "${geocoder.name}": ${geocoder.configError}`);
 if (!AUTH_API) console.warn('⚠️ Missing AUTH_API_BASE (defaults to virtual-me-auth.vercel.app)');
+// Server-issued, caller-bound conversation IDs (CONVERSATION_SECRET, CONVERSATION_ID_TTL_MS)
+const conversationIds = createConversationIds(process.env);
+
+if (conversationIds.configError) console.warn(`⚠️ ${conversationIds.configError}`);
 if (!PUBLIC_DEFAULT_TARGET_USER_ID) {
   console.warn('ℹ️ PUBLIC_DEFAULT_TARGET_USER_ID not set — unauthenticated /voice calls will require targetUserId OR be rejected.');
 }
 
-// ---------- In-memory conversation history ----------
-const CONVO_TTL_MS = 30 * 60 * 1000;
-const CONVO_MAX_TURNS = 10;
-const conversations = new Map();
-function getHistory(cid) {
-  if (!cid) return [];
-  const slot = conversations.get(cid);
-  if (!slot) return [];
-  if (Date.now() - slot.updatedAt > CONVO_TTL_MS) {
-    conversations.delete(cid);
-    return [];
-  }
-  return slot.messages || [];
-}
 async function fetchPersonaBundle({ authApiBase, targetUserId, bearer }) {
   // Prefer the explicit user route so we can impersonate/act-as cases too
   const url = `${authApiBase}/users/${encodeURIComponent(targetUserId)}/basic`;
@@ -77,33 +110,140 @@ async function fetchPersonaBundle({ authApiBase, targetUserId, bearer }) {
   return r.json(); // {_id, name, email, voiceId, profilePublic:{...}}
 }
 
-function buildPersonaCard(profilePublic) {
-  if (!profilePublic) return '';
-  const lines = [];
+// ---------- Owner inbox (take-a-message) ----------
+// Keys: inbox:<owner> (hash id -> message), inbox:<owner>:audio:<id> (base64 of the caller's original audio).
+// A conversation that asked to leave a message without saying it is marked pending for the next turn; without a
+// conversation there is no next turn to match, so the caller is asked to say it all at once.
+// Audio is stored base64-encoded (4/3 of its size), capped so the encoded value stays under KV_MAX_VALUE_BYTES
+// (Upstash's 1 MB request limit by default).
+const INBOX_RETENTION_MS = Number(process.env.INBOX_RETENTION_DAYS || 90) * 24 * 60 * 60 * 1000;
+const KV_MAX_VALUE_BYTES = Number(process.env.KV_MAX_VALUE_BYTES || 1024 * 1024);
+const INBOX_MAX_AUDIO_BYTES = Math.min(
+  Number(process.env.INBOX_MAX_AUDIO_BYTES || Infinity),
+  Math.floor(((KV_MAX_VALUE_BYTES - 4096) * 3) / 4),
+);
+const MESSAGE_PENDING_TTL_MS = 10 * 60 * 1000;
+function inboxKey(ownerId) { return `inbox:${ownerId}`; }
+function inboxAudioKey(ownerId, id) { return `inbox:${ownerId}:audio:${id}`; }
+function messagePendingKey(cid) { return `msgpending:${String(cid).slice(0, 200)}`; }
+
+async function saveInboxMessage({ ownerId, me, conversationId, channel, transcript, audio }) {
+  const id = crypto.randomBytes(9).toString('base64url');
+  const keepAudio = !!audio?.buffer?.length && audio.buffer.length <= INBOX_MAX_AUDIO_BYTES;
+  const item = {
+    id,
+    at: Date.now(),
+    caller: callerInfo(me),
+    conversation: conversationId ? convlogId(conversationId) : null,
+    channel,
+    transcript: transcript || '',
+    urgency: guessUrgency(transcript),
+    read: false,
+    audio: keepAudio ? { mimeType: audio.mimetype || 'audio/wav', bytes: audio.buffer.length } : null,
+  };
+  if (keepAudio) {
+    await storeSet(inboxAudioKey(ownerId, id), audio.buffer.toString('base64'), { ttlMs: INBOX_RETENTION_MS });
+  }
+  await storeHashSet(inboxKey(ownerId), id, item, { ttlMs: INBOX_RETENTION_MS });
+  return item;
+}
+
+// Decides whether this turn is (part of) a message for the owner.
+// Returns { state: 'none' } | { state: 'prompt' } (ask what the message is) | { state: 'prompt_inline' } (no
+// conversation: ask for the request and the message in one go) | { state: 'saved', message }.
+async function handleTakeMessage({ ownerId, me, conversationId, channel, transcript, audio }) {
+  if (!ownerId || !transcript || (me?._id && String(me._id) === String(ownerId))) return { state: 'none' };
+
+  const pending = conversationId ? await storeGet(messagePendingKey(conversationId)) : null;
+  const wantsToLeave = asksToLeaveMessage(transcript);
+  if (!pending && !wantsToLeave) return { state: 'none' };
 
-  if (profilePublic.character) lines.push(`Character: ${profilePublic.character}`);
-  if (profilePublic.languages?.length) lines.push(`Languages: ${profilePublic.languages.join(', ')}`);
-  if (profilePublic.voiceStyle) lines.push(`Voice style: ${profilePublic.voiceStyle}`);
-  if (profilePublic.availability) lines.push(`Availability: ${profilePublic.availability}`);
-  if (profilePublic.timeZone) lines.push(`Time zone: ${profilePublic.timeZone}`);
-  if (profilePublic.calendarPrefs) lines.push(`Calendar: ${profilePublic.calendarPrefs}`);
-  if (profilePublic.aiPersona) lines.push(`Bio: ${profilePublic.aiPersona}`);
+  if (!pending && !messageHasContent(transcript)) {
+    if (!conversationId) return { state: 'prompt_inline' };
+    await storeSet(messagePendingKey(conversationId), true, { ttlMs: MESSAGE_PENDING_TTL_MS });
+    return { state: 'prompt' };
+  }
 
-  return lines.join('\n');
+  if (pending) await storeDel(messagePendingKey(conversationId));
+  const message = await saveInboxMessage({ ownerId, me, conversationId, channel, transcript, audio });
+  return { state: 'saved', message };
 }
 
-function appendToHistory(cid, msgs) {
-  if (!cid) return;
-  const prev = getHistory(cid);
-  const merged = [...prev, ...msgs].slice(-CONVO_MAX_TURNS * 2);
-  conversations.set(cid, { messages: merged, updatedAt: Date.now() });
+// ---------- Urgency escalation ----------
+// Guest turns are classified (AICloneService.analyzeUserMessage, floored by the keyword guess). At or above
+// the owner's threshold an escalation is recorded and sent through the notifier, within the owner's limits.
+// Rules, cooldown and rate limits live in modules/escalation.js.
+// Keys: escalations:<owner> (hash id -> escalation), escalation:settings:<owner>.
+const ESCALATION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const ESCALATION_DEFAULTS = {
+  enabled: true,
+  threshold: ESCALATION_THRESHOLDS.includes(process.env.ESCALATION_THRESHOLD) ? process.env.ESCALATION_THRESHOLD : 'high',
+  maxPerHour: Number(process.env.ESCALATION_MAX_PER_HOUR || 3),       // notifications per owner per clock hour; 0 = record only
+  cooldownMinutes: Number(process.env.ESCALATION_COOLDOWN_MINUTES || 15), // per caller, after a notification went out
+  webhookUrl: null,
+  pushToken: null,
+};
+function escalationsKey(ownerId) { return `escalations:${ownerId}`; }
+function escalationSettingsKey(ownerId) { return `escalation:settings:${ownerId}`; }
+
+async function getEscalationSettings(ownerId) {
+  return { ...ESCALATION_DEFAULTS, ...((await storeGet(escalationSettingsKey(ownerId))) || {}) };
 }
-setInterval(() => {
-  const now = Date.now();
-  for (const [cid, slot] of conversations.entries()) {
-    if (now - slot.updatedAt > CONVO_TTL_MS) conversations.delete(cid);
+
+// Falls back to the keyword guess alone when the model can't classify the turn.
+async function classifyUrgency(transcript) {
+  const analysis = await aiClone.analyzeUserMessage(transcript);
+  return {
+    urgency: maxUrgency(normalizeUrgency(analysis?.urgency), guessUrgency(transcript)),
+    intent: analysis?.intent || 'unknown',
+    tone: analysis?.tone || 'neutral',
+    topics: Array.isArray(analysis?.topics) ? analysis.topics.slice(0, 8) : [],
+  };
+}
+
+// Records an escalation when the classified urgency meets the owner's threshold and notifies
+// unless the caller is cooling down or the owner's hourly budget is spent. Returns the escalation or null.
+async function maybeEscalate({ ownerId, me, conversationId, channel, transcript, analysis, messageId }) {
+  const settings = await getEscalationSettings(ownerId);
+  if (!settings.enabled || URGENCY_RANK[analysis.urgency] < URGENCY_RANK[settings.threshold]) return null;
+
+  const caller = callerInfo(me);
+  const conversation = conversationId ? convlogId(conversationId) : null;
+  const escalation = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    at: Date.now(),
+    ownerId: String(ownerId),
+    caller,
+    conversation,
+    channel,
+    transcript: String(transcript).slice(0, 1000),
+    ...analysis,
+    messageId: messageId || null,
+    notified: false,
+    suppressed: null,
+    delivery: null,
+  };
+
+  const callerKey = caller.userId ? `u:${caller.userId}` : `c:${conversation || 'anonymous'}`;
+  await dispatchEscalation(escalation, settings, {
+    store: { get: storeGet, set: storeSet, incr: storeIncr },
+    notifier,
+    callerKey,
+  });
+
+  await storeHashSet(escalationsKey(ownerId), escalation.id, escalation, { ttlMs: ESCALATION_RETENTION_MS });
+  return escalation;
+}
+
+// Classifies a guest turn, bumps the urgency of a message it left, and escalates if needed.
+async function escalateIfUrgent({ ownerId, me, conversationId, channel, transcript, message }) {
+  const analysis = await classifyUrgency(transcript);
+  if (message && URGENCY_RANK[analysis.urgency] > URGENCY_RANK[message.urgency]) {
+    const current = await storeHashGet(inboxKey(ownerId), message.id);
+    if (current) await storeHashSet(inboxKey(ownerId), message.id, { ...current, urgency: analysis.urgency }, { ttlMs: INBOX_RETENTION_MS });
   }
-}, 5 * 60 * 1000).unref();
+  return maybeEscalate({ ownerId, me, conversationId, channel, transcript, analysis, messageId: message?.id });
+}
 
 // ---------- Multer for audio ----------
 const upload = multer({
@@ -142,43 +282,229 @@ if (storeKindName === 'mem' && process.env.KV_REST_API_URL && process.env.KV_RES
   } catch {}
 }
 const mem = Object.create(null);
+const memExpiry = Object.create(null); // key -> epoch ms; TTLs are native on Upstash / Vercel KV
 function storeKind() { return storeKindName; }
 function serialize(v) { try { return JSON.stringify(v); } catch { return String(v); } }
 function deserialize(v) { if (typeof v !== 'string') return v; try { return JSON.parse(v); } catch { return v; } }
-async function storeSet(key, value) {
-  if (storeKindName === 'upstash' && redis)  return void (await redis.set(key, serialize(value)));
-  if (storeKindName === 'kv' && kv)          return void (await kv.set(key, value));
+function redisClient() {
+  if (storeKindName === 'upstash' && redis) return redis;
+  if (storeKindName === 'kv' && kv) return kv;
+  return null;
+}
+function memAlive(key) {
+  const exp = memExpiry[key];
+  if (exp && exp <= Date.now()) {
+    delete mem[key];
+    delete memExpiry[key];
+  }
+  return key in mem;
+}
+function memTouch(key, ttlMs) {
+  if (ttlMs) memExpiry[key] = Date.now() + ttlMs;
+  else delete memExpiry[key];
+}
+async function storeSet(key, value, { ttlMs } = {}) {
+  const opts = ttlMs ? { px: ttlMs } : undefined;
+  if (storeKindName === 'upstash' && redis)  return void (await redis.set(key, serialize(value), opts));
+  if (storeKindName === 'kv' && kv)          return void (await kv.set(key, value, opts));
   mem[key] = value;
+  memTouch(key, ttlMs);
 }
 async function storeGet(key) {
   if (storeKindName === 'upstash' && redis)  return deserialize(await redis.get(key));
   if (storeKindName === 'kv' && kv)          return await kv.get(key);
-  return mem[key] ?? null;
+  return memAlive(key) ? mem[key] : null;
+}
+async function storeDel(key) {
+  const client = redisClient();
+  if (client) return void (await client.del(key));
+  delete mem[key];
+  delete memExpiry[key];
+}
+// Atomic append to a capped list (oldest items dropped past maxLen); refreshes the TTL.
+async function storeListAppend(key, items, { maxLen, ttlMs } = {}) {
+  if (!items.length) return;
+  const client = redisClient();
+  if (client) {
+    const tx = client.multi();
+    tx.rpush(key, ...items.map(serialize));
+    if (maxLen) tx.ltrim(key, -maxLen, -1);
+    if (ttlMs) tx.pexpire(key, ttlMs);
+    return void (await tx.exec());
+  }
+  const list = memAlive(key) && Array.isArray(mem[key]) ? mem[key] : [];
+  list.push(...items);
+  mem[key] = maxLen ? list.slice(-maxLen) : list;
+  memTouch(key, ttlMs);
+}
+async function storeListRange(key) {
+  const client = redisClient();
+  if (client) return ((await client.lrange(key, 0, -1)) || []).map(deserialize);
+  return memAlive(key) && Array.isArray(mem[key]) ? [...mem[key]] : [];
+}
+// Hash helpers: one JSON value per field.
+async function storeHashSet(key, field, value, { ttlMs } = {}) {
+  const client = redisClient();
+  if (client) {
+    const tx = client.multi();
+    tx.hset(key, { [field]: serialize(value) });
+    if (ttlMs) tx.pexpire(key, ttlMs);
+    return void (await tx.exec());
+  }
+  const hash = memAlive(key) && mem[key] && typeof mem[key] === 'object' ? mem[key] : {};
+  hash[field] = value;
+  mem[key] = hash;
+  memTouch(key, ttlMs);
+}
+async function storeHashGet(key, field) {
+  const client = redisClient();
+  if (client) return deserialize(await client.hget(key, field));
+  return memAlive(key) ? (mem[key]?.[field] ?? null) : null;
+}
+async function storeHashGetAll(key) {
+  const client = redisClient();
+  if (client) {
+    const raw = (await client.hgetall(key)) || {};
+    return Object.fromEntries(Object.entries(raw).map(([f, v]) => [f, deserialize(v)]));
+  }
+  return memAlive(key) ? { ...(mem[key] || {}) } : {};
+}
+async function storeHashDel(key, field) {
+  const client = redisClient();
+  if (client) return void (await client.hdel(key, field));
+  if (memAlive(key)) delete mem[key][field];
+}
+// Fixed-window counter: the TTL starts with the first increment.
+async function storeIncr(key, { ttlMs } = {}) {
+  const client = redisClient();
+  if (client) {
+    const n = await client.incr(key);
+    if (n === 1 && ttlMs) await client.pexpire(key, ttlMs);
+    return n;
+  }
+  const n = (memAlive(key) ? Number(mem[key]) || 0 : 0) + 1;
+  mem[key] = n;
+  if (n === 1) memTouch(key, ttlMs);
+  return n;
+}
+// Sorted-set helpers (score = epoch ms, members are JSON values; storeZAdd takes [{ score, value }]). Trim drops members scored
+// below minScore and the oldest past maxLen, then refreshes the TTL.
+async function storeZAdd(key, entries) {
+  if (!entries.length) return;
+  const client = redisClient();
+  if (client) {
+    const [first, ...rest] = entries.map(e => ({ score: e.score, member: serialize(e.value) }));
+    return void (await client.zadd(key, first, ...rest));
+  }
+  const set = memAlive(key) && Array.isArray(mem[key]) ? mem[key] : [];
+  for (const { score, value } of entries) {
+    const member = serialize(value);
+    const at = set.findIndex(e => e.member === member);
+    if (at >= 0) set.splice(at, 1);
+    let i = set.length;
+    while (i > 0 && set[i - 1].score > score) i--;
+    set.splice(i, 0, { score, member, value });
+  }
+  mem[key] = set;
+}
+async function storeZRange(key, minScore, maxScore) {
+  const client = redisClient();
+  if (client) return ((await client.zrange(key, minScore, maxScore, { byScore: true })) || []).map(deserialize);
+  const set = memAlive(key) && Array.isArray(mem[key]) ? mem[key] : [];
+  return set.filter(e => e.score >= minScore && e.score <= maxScore).map(e => e.value);
+}
+async function storeZTrim(key, { minScore, maxLen, ttlMs } = {}) {
+  const client = redisClient();
+  if (client) {
+    const tx = client.multi();
+    if (minScore !== undefined) tx.zremrangebyscore(key, '-inf', `(${minScore}`);
+    if (maxLen) tx.zremrangebyrank(key, 0, -(maxLen + 1));
+    if (ttlMs) tx.pexpire(key, ttlMs);
+    return void (await tx.exec());
+  }
+  if (!memAlive(key) || !Array.isArray(mem[key])) return;
+  let set = mem[key];
+  if (minScore !== undefined) set = set.filter(e => e.score >= minScore);
+  if (maxLen) set = set.slice(-maxLen);
+  mem[key] = set;
+  memTouch(key, ttlMs);
+}
+if (storeKindName === 'mem') {
+  setInterval(() => {
+    for (const key of Object.keys(memExpiry)) memAlive(key);
+  }, 5 * 60 * 1000).unref();
+}
+
+// ---------- Conversation history (KV-backed, sliding TTL) ----------
+const CONVO_TTL_MS = 30 * 60 * 1000;
+const CONVO_MAX_TURNS = 10;
+function historyKey(cid) { return `convo:${String(cid).slice(0, 200)}`; }
+async function getHistory(cid) {
+  if (!cid) return [];
+  return storeListRange(historyKey(cid));
+}
+async function appendToHistory(cid, msgs) {
+  if (!cid) return;
+  await storeListAppend(historyKey(cid), msgs, { maxLen: CONVO_MAX_TURNS * 2, ttlMs: CONVO_TTL_MS });
+}
+
+// ---------- Owner conversation log ----------
+// Every turn is recorded against the persona owner (targetUserId) so owners can review what was said.
+// Keys: convlog:<owner>:index (hash logId -> summary), convlog:<owner>:<logId> (list of turns).
+const CONVLOG_RETENTION_MS = Number(process.env.CONVLOG_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+const CONVLOG_MAX_TURNS = 200;
+function convlogIndexKey(ownerId) { return `convlog:${ownerId}:index`; }
+function convlogTurnsKey(ownerId, logId) { return `convlog:${ownerId}:${logId}`; }
+// Log IDs are derived from the conversation ID so the signed ID itself is never exposed.
+function convlogId(conversationId) {
+  if (!conversationId) return `t-${crypto.randomBytes(8).toString('base64url')}`;
+  return crypto.createHash('sha256').update(conversationId).digest('base64url').slice(0, 16);
+}
+function callerInfo(me) {
+  return me?._id
+    ? { userId: String(me._id), name: me.name || null, email: me.email || null }
+    : { anonymous: true };
+}
+async function recordConversationTurn({ ownerId, conversationId, me, channel, transcript, replyText, language, context }) {
+  if (!ownerId) return;
+  const logId = convlogId(conversationId);
+  const at = Date.now();
+  const turn = { at, channel, caller: callerInfo(me), transcript: transcript || '', reply: replyText, language: language || 'unknown', context };
+  await storeListAppend(convlogTurnsKey(ownerId, logId), [turn], { maxLen: CONVLOG_MAX_TURNS, ttlMs: CONVLOG_RETENTION_MS });
+
+  const prev = await storeHashGet(convlogIndexKey(ownerId), logId);
+  await storeHashSet(convlogIndexKey(ownerId), logId, {
+    id: logId,
+    caller: turn.caller,
+    channel,
+    startedAt: prev?.startedAt || at,
+    lastAt: at,
+    turnCount: (prev?.turnCount || 0) + 1,
+    lastTranscript: turn.transcript.slice(0, 200),
+  }, { ttlMs: CONVLOG_RETENTION_MS });
 }
 
 // ---------- Helpers ----------
+// Both go through the configured geocoder (and its KV cache); lookups that fail read as "not found".
 async function reverseGeocode(lat, lon) {
   try {
-    const url = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lon}`;
-    const resp = await fetch(url, { headers: { 'User-Agent': 'VirtualMe/1.0' } });
-    if (!resp.ok) return null;
-    const j = await resp.json();
-    return { display_name: j?.display_name || null, address: j?.address || null };
-  } catch {
+    return await geocoder.reverse(lat, lon);
+  } catch (e) {
+    if (!(e instanceof GeocoderError)) throw e;
+    console.warn('[GEOCODER]', e.message, e.detail);
     return null;
   }
 }
-function formatAddressLine(address) {
-  if (!address) return null;
-  const parts = [
-    address.road || address.pedestrian || address.path || address.cycleway || address.footway,
-    address.neighbourhood || address.suburb || address.village || address.town || address.city_district,
-    address.city || address.town || address.village || address.county,
-    address.state,
-    address.postcode
-  ].filter(Boolean);
-  return parts.length ? parts.join(', ') : null;
+async function forwardGeocode(query) {
+  try {
+    return await geocoder.search(query);
+  } catch (e) {
+    if (!(e instanceof GeocoderError)) throw e;
+    console.warn('[GEOCODER]', e.message, e.detail);
+    return null;
+  }
 }
+
 function timeAgo(ms) {
   const m = Math.round(ms / 60000);
   if (m <= 1) return 'just now';
@@ -187,53 +513,6 @@ function timeAgo(ms) {
   return `${h} hour(s) ago`;
 }
 
-// --- Language helpers: only English/Hindi; prefer English unless Hindi detected ---
-function pickAllowedLanguage(langCodeFromSTT) {
-  const m = String(langCodeFromSTT || '').toLowerCase();
-  if (m.startsWith('hi')) return 'Hindi';
-  // Fallback/most cases
-  return 'English';
-}
-
-// --- Location gating: include location context only when asked ---
-const LOCATION_QUERIES = [
-  'where am i', 'where are you', 'where', 'location', 'address', 'near', 'nearby', 'distance',
-  'kahan', 'kahaan', 'kidhar', 'kaan', 'address kya', 'location kya'
-];
-function asksForLocation(text) {
-  if (!text) return false;
-  const t = text.toLowerCase();
-  return LOCATION_QUERIES.some(q => t.includes(q));
-}
-
-// --- Name coalescing and voice sanitization ---
-function coalesceName(profileName, preferredName, fallbackFull = 'Kavish Nayeem', fallbackShort = 'Kavish') {
-  const full = (profileName || '').trim() || fallbackFull;
-  const short = (preferredName || '').trim() || fallbackShort;
-  return { full, short };
-}
-function sanitizeVoiceId(voiceId) {
-  if (!voiceId) return '';
-  if (!/^[A-Za-z0-9\-_]{6,64}$/.test(voiceId)) return '';
-  return voiceId;
-}
-
-function buildSystemPrompt({ full, short }, languageName, { firstTurn }, calendarContext, personaCard) {
-  return [
-    `Premise: You will be accessed if some close relative of yours cant reach you on call or text so they use this to get your updates on why cant they reach you, so use the information below to answer`,
-    `You are "${full}" (preferred name: "${short}"). Speak ONLY in ${languageName}. Behave and speak like a human with the persona attached.`,
-    `Use first person as ${short}. Never call yourself an assistant or talk about being an AI.`,
-    `Prefer natural sentences. Keep it conversational, not verbose.`,
-    `If you are uncertain or lack context, say "I don't know" (or its ${languageName} equivalent). Do not fabricate or assume.`,
-    `Do NOT disclose your or the user's location unless explicitly asked in the user's message.`,
-    `Use ONLY the provided context. Do NOT invent calendar, contacts, or locations. Current calendar context: ${calendarContext}`,
-    `Do NOT blindly accept claims from the user; verify against the provided context. If unsure, say you don't know.`,
-    `Stay within scope. If a request is outside context, say you don't know or ask for more info.`,
-    personaCard ? `Persona profile:\n${personaCard}` : ``,
-    firstTurn ? `On your very first reply in this conversation, start with a brief greeting and your name (one short sentence), then answer.` : ``
-  ].filter(Boolean).join('\n');
-}
-
 // ---------- Auth DB helpers ----------
 async function dbGET(path, token) {
   const resp = await fetch(`${AUTH_API}${path}`, {
@@ -263,15 +542,33 @@ app.get('/', (_req, res) => {
     .type('text/plain; charset=utf-8')
     .send(`Voice API up.
 
-POST /voice  (multipart form-data: audio=<file>, optional: profileName, preferredName, voiceId, conversationId, hints, targetUserId, tz)
-POST /location/update   { deviceId, payload: { latitude, longitude, timestamp, accuracy?, speed?, heading?, altitude? } }  (Authorization required)
-GET  /location/latest?userId=<id>
-GET  /location/debug?userId=<id>
+POST /conversations   { targetUserId? }  -> { conversationId, expiresAt, sessionToken? }  (anonymous callers get a server-issued sessionToken; send it back via X-VM-Session)
+                      conversationId on /voice, /chat and /realtime must come from here: any other -> 403 conversation_not_issued,
+                      another caller's or persona's -> 403 conversation_forbidden, older than CONVERSATION_ID_TTL_MS -> 403 conversation_expired
+POST /voice  (multipart form-data: audio=<file>, optional: profileName, preferredName, voiceId, conversationId, hints, targetUserId, tz,
+             callerLatitude, callerLongitude, callerAccuracy)
+             ?stream=1 or Accept: text/event-stream -> SSE events: meta, transcript, token, reply, audio (base64 WAV per sentence), done, error
+POST /chat   { message, optional: conversationId, targetUserId, tz, hints, language, profileName, preferredName, voiceId, tts, callerLatitude, callerLongitude }  -> JSON (audio base64 when tts=true)
+WS   /realtime  (full-duplex voice: send {type:'start',...} then PCM16 mono frames; not available on Vercel)
+                bearer in start.token, an Authorization header or subprotocols ['vm-realtime', 'bearer.<token>'] (?token= is refused)
+POST /location/update   { deviceId, payload: { latitude, longitude, timestamp, accuracy?, speed?, heading?, altitude?, timeZone? } }  (Authorization required)
+                        or { deviceId, points: [payload, ...] } (batch, up to ${LOCATION_BATCH_MAX}) -> { accepted, rejected, latestTimestamp, hints }
+                        a rejected single payload -> 422 { error, reason: too_old | out_of_order | future, latestTimestamp }
+GET  /location/latest?userId=<id>   GET /location/debug?userId=<id>   (latest: movement is null coarser than street, device unless self or exact)
+GET  /location/history?userId=<id>&from=&to=&deviceId=&limit=&simplify=<meters>&every=<seconds>
+     (location reads: Authorization required; self, or a granted guest at the grant's precision: exact|street|neighbourhood|city|hidden)
+GET|POST|DELETE /location/shares[/:id] { guestId?, durationMinutes? }  (owner: time-limited live sharing; DELETE stops it at once)
+GET  /location/stream?userId=<owner>  (SSE: share, location, end; needs a grant and an active share session)
+GET|PUT /places { places: [{ name, kind?, latitude, longitude, radiusM? }] }   POST /places/import-profile   GET /places/events?from=&to=  (Authorization required)
+GET  /inbox[?unread=1]   GET /inbox/:id/audio   POST /inbox/:id/read { read? }   DELETE /inbox/:id   (Authorization required)
+GET  /escalations[?limit=]   GET|PUT /escalations/settings { enabled?, threshold?: medium|high, maxPerHour?, cooldownMinutes?, webhookUrl?, pushToken? }   (Authorization required)
+GET  /owner/conversations[?limit=]      GET|DELETE /owner/conversations/:id      DELETE /owner/conversations   (Authorization required; your own persona only)
 
 Store: ${storeKind()}
-Models: STT=${STT_MODEL}, Chat=${CHAT_MODEL}, max_tokens=${MAX_TOKENS}
+Models: STT=${sttProvider.name}:${sttProvider.model}, Chat=${llm.name}:${llm.model}, max_tokens=${MAX_TOKENS}
+Geocoder: ${geocoder.name}
 AUTH_API: ${AUTH_API}
-PUBLIC_DEFAULT_TARGET_USER_ID: ${PUBLIC_DEFAULT_TARGET_USER_ID || '(not set)'}
+PUBLIC_DEFAULT_TARGET_USER_ID: ${PUBLIC_DEFAULT_TARGET_USER_ID || '(not set)'} (location precision for public callers: ${PUBLIC_LOCATION_PRECISION})
 `);
 });
 app.get('/healthz', (_req, res) => res.json({ ok: true, ts: Date.now() }));
@@ -283,17 +580,364 @@ app.get('/location/store-info', (_req, res) => {
   });
 });
 
+// ---------- Location history (time-ordered track per owner) ----------
+// Key: lochist:<owner> (sorted set scored by the fix's timestamp), bounded by age and point count.
+// Every accepted fix is kept, tagged with the device that reported it.
+const LOCATION_HISTORY_RETENTION_MS = Number(process.env.LOCATION_HISTORY_DAYS || 7) * 24 * 60 * 60 * 1000;
+const LOCATION_HISTORY_MAX_POINTS = Number(process.env.LOCATION_HISTORY_MAX_POINTS || 5000);
+function locationHistoryKey(ownerId) { return `lochist:${ownerId}`; }
+
+async function appendLocationHistory(ownerId, fixes, deviceId) {
+  const key = locationHistoryKey(ownerId);
+  await storeZAdd(key, fixes.map(fix => ({
+    score: fix.timestamp,
+    value: {
+      deviceId,
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      timestamp: fix.timestamp,
+      accuracy: Number.isFinite(fix.accuracy) ? fix.accuracy : null,
+      speed: Number.isFinite(fix.speed) ? fix.speed : null,
+      heading: Number.isFinite(fix.heading) ? fix.heading : null,
+    },
+  })));
+  await storeZTrim(key, {
+    minScore: Date.now() - LOCATION_HISTORY_RETENTION_MS,
+    maxLen: LOCATION_HISTORY_MAX_POINTS,
+    ttlMs: LOCATION_HISTORY_RETENTION_MS,
+  });
+}
+
+// Accepts epoch ms or anything Date can parse; returns null when missing/invalid.
+function parseTimeParam(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const s = String(v).trim();
+  const t = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+// ---------- Named places & geofences ----------
+// Keys: places:<owner> (list of { id, name, kind, latitude, longitude, radiusM, address, source }),
+//       placestate:<owner> ({ placeId, name, since }; placeId null = away, since = when it last changed),
+//       placeevents:<owner> (sorted set of { type: enter|exit, placeId, name, at }).
+// Hysteresis: a fix enters a place inside its radius, but only exits once past radius + margin,
+// and fixes less accurate than the place's radius are ignored, so GPS jitter at the edge doesn't flap.
+const PLACE_KINDS = ['home', 'work', 'school', 'gym', 'other'];
+const PLACES_MAX = 50;
+const PLACE_DEFAULT_RADIUS_M = 150;
+function placesKey(ownerId) { return `places:${ownerId}`; }
+function placeStateKey(ownerId) { return `placestate:${ownerId}`; }
+function placeEventsKey(ownerId) { return `placeevents:${ownerId}`; }
+function placeExitMarginM(place) { return Math.max(50, place.radiusM * 0.25); }
+
+async function getPlaces(ownerId) {
+  const list = await storeGet(placesKey(ownerId));
+  return Array.isArray(list) ? list : [];
+}
+
+// Validates one place from the owner; returns { place } or { error }.
+function sanitizePlace(raw, { source = 'manual' } = {}) {
+  const name = typeof raw?.name === 'string' ? raw.name.trim().slice(0, 60) : '';
+  const latitude = Number(raw?.latitude);
+  const longitude = Number(raw?.longitude);
+  if (!name) return { error: 'place name required' };
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    return { error: `invalid coordinates for "${name}"` };
+  }
+  const radiusM = raw.radiusM === undefined ? PLACE_DEFAULT_RADIUS_M : Number(raw.radiusM);
+  if (!Number.isFinite(radiusM) || radiusM < 25 || radiusM > 5000) return { error: `radiusM for "${name}" must be 25..5000` };
+  return {
+    place: {
+      id: typeof raw.id === 'string' && /^[\w-]{1,40}$/.test(raw.id) ? raw.id : crypto.randomBytes(6).toString('base64url'),
+      name,
+      kind: PLACE_KINDS.includes(raw.kind) ? raw.kind : 'other',
+      latitude,
+      longitude,
+      radiusM: Math.round(radiusM),
+      address: typeof raw.address === 'string' ? raw.address.slice(0, 300) : null,
+      source: raw.source === 'profile' ? 'profile' : source,
+    },
+  };
+}
+
+// Matches fixes (oldest first) against the owner's places and records enter/exit events. Returns the final state.
+async function updateGeofences(ownerId, fixes) {
+  const places = await getPlaces(ownerId);
+  const initial = (await storeGet(placeStateKey(ownerId))) || { placeId: null, name: null, since: null };
+  if (!places.length && !initial.placeId) return initial;
+
+  const events = [];
+  let state = initial;
+  for (const fix of fixes) {
+    const step = geofenceStep(places, state, fix);
+    events.push(...step.events);
+    state = step.state;
+  }
+  if (!events.length) return state;
+
+  await storeZAdd(placeEventsKey(ownerId), events.map(ev => ({ score: ev.at, value: ev })));
+  await storeZTrim(placeEventsKey(ownerId), {
+    minScore: Date.now() - LOCATION_HISTORY_RETENTION_MS,
+    maxLen: LOCATION_HISTORY_MAX_POINTS,
+    ttlMs: LOCATION_HISTORY_RETENTION_MS,
+  });
+  await storeSet(placeStateKey(ownerId), state, { ttlMs: LOCATION_HISTORY_RETENTION_MS });
+  return state;
+}
+
+function geofenceStep(places, prev, fix) {
+  const withDistance = places.map(p => ({ place: p, distanceM: haversineMeters(fix, p) }));
+  const accuracy = Number.isFinite(fix.accuracy) ? fix.accuracy : 0;
+  const precise = d => accuracy <= Math.max(d.place.radiusM, 100);
+
+  const current = prev.placeId ? withDistance.find(d => d.place.id === prev.placeId) : null;
+  if (current && (current.distanceM <= current.place.radiusM + placeExitMarginM(current.place) || !precise(current))) {
+    return { state: prev, events: [] }; // still there, or too vague a fix to say we left
+  }
+  const entered = withDistance
+    .filter(d => d.distanceM <= d.place.radiusM && precise(d))
+    .sort((a, b) => a.distanceM - b.distanceM)[0];
+
+  // Past this point a previously current place (also one the owner deleted) has been left
+  const events = [];
+  let state = prev;
+  if (prev.placeId) {
+    const name = current?.place.name || prev.name;
+    events.push({ type: 'exit', placeId: prev.placeId, name, at: fix.timestamp });
+    state = { placeId: null, name: null, since: fix.timestamp, lastPlace: name };
+  }
+  if (entered) {
+    events.push({ type: 'enter', placeId: entered.place.id, name: entered.place.name, at: fix.timestamp });
+    state = { placeId: entered.place.id, name: entered.place.name, since: fix.timestamp };
+  }
+  return { state, events };
+}
+
+function clockTime(ms, timeZone) {
+  const d = new Date(ms);
+  const opts = { hour: 'numeric', minute: '2-digit' };
+  const sameDay = (a, b, tz) => a.toLocaleDateString('en-CA', { timeZone: tz }) === b.toLocaleDateString('en-CA', { timeZone: tz });
+  try {
+    const day = sameDay(d, new Date(), timeZone) ? '' : `${d.toLocaleDateString('en-US', { timeZone, weekday: 'short' })} `;
+    return day + d.toLocaleTimeString('en-US', { ...opts, timeZone });
+  } catch {
+    return d.toLocaleTimeString('en-US', { ...opts, timeZone: 'UTC' }) + ' UTC';
+  }
+}
+
+// "At Office since 9:40 AM" / "Left Home at 8:10 AM" — null when there's nothing place-based to say.
+async function placeStatusText(ownerId, timeZone) {
+  const state = await storeGet(placeStateKey(ownerId));
+  if (!state?.since) return null;
+  if (state.placeId) return `At ${state.name} since ${clockTime(state.since, timeZone)}`;
+  if (state.lastPlace) return `Left ${state.lastPlace} at ${clockTime(state.since, timeZone)}`;
+  return null;
+}
+
+// ---------- Movement state ----------
+// Key: movement:<owner> ({ state, speedMps, confidence, samples, at, since }), reclassified from the owner's
+// track on every upload that moves it (thresholds: MOVEMENT_* env, see modules/movement.js).
+const movementThresholds = movementThresholdsFromEnv(process.env);
+const MOVEMENT_FRESH_MS = 10 * 60 * 1000;
+const MOVEMENT_PHRASES = {
+  stationary: 'not moving',
+  walking: 'walking',
+  driving: 'driving',
+  in_transit: 'travelling fast (train or plane)',
+};
+function movementKey(ownerId) { return `movement:${ownerId}`; }
+
+// Classified from one device's points only; mixing two devices' tracks would read as movement.
+async function updateMovement(ownerId, newestTimestamp, deviceId) {
+  const recent = await storeZRange(locationHistoryKey(ownerId), newestTimestamp - movementThresholds.windowMs, newestTimestamp);
+  const m = classifyMovement(recent.filter(p => !p.deviceId || p.deviceId === deviceId), movementThresholds);
+  const prev = await storeGet(movementKey(ownerId));
+  if (m.state === 'unknown') return prev;
+  const next = { ...m, at: newestTimestamp, since: prev?.state === m.state ? prev.since : newestTimestamp };
+  await storeSet(movementKey(ownerId), next, { ttlMs: LOCATION_HISTORY_RETENTION_MS });
+  return next;
+}
+
+// Latest movement state, or null once the track has gone quiet.
+async function currentMovement(ownerId) {
+  const m = await storeGet(movementKey(ownerId));
+  return m && Date.now() - m.at <= MOVEMENT_FRESH_MS ? m : null;
+}
+
+function movementText(m, timeZone, { withSpeed = false } = {}) {
+  if (!m) return null;
+  const speed = withSpeed && m.state !== 'stationary' && Number.isFinite(m.speedMps) ? ` at about ${Math.round(m.speedMps * 3.6)} km/h` : '';
+  return `Currently ${MOVEMENT_PHRASES[m.state] || m.state}${speed} (since ${clockTime(m.since, timeZone)})`;
+}
+
+// ---------- Travel state ----------
+// Where the owner is relative to home (modules/travel.js). Key homeanchor:<owner> ({ address, latitude, longitude,
+// checkedAt }) holds the geocoded homeAddress. homeAddress isn't part of the public profile, so it's synced from
+// the owner's own requests and, at most daily, their uploads.
+const TRAVEL_NEARBY_M = Number(process.env.TRAVEL_NEARBY_KM || 25) * 1000;
+const HOME_ANCHOR_RECHECK_MS = 24 * 60 * 60 * 1000;
+
+function homeAnchorKey(ownerId) { return `homeanchor:${ownerId}`; }
+
+// Geocodes the owner's profile homeAddress when it changed (or a failed lookup is a day old). An empty address
+// is recorded too, so the upload path doesn't keep asking. `touch` marks an unchanged anchor as checked.
+async function syncHomeAnchor(ownerId, profile, { touch = false } = {}) {
+  const address = String(profile?.homeAddress || '').trim();
+  const anchor = await storeGet(homeAnchorKey(ownerId));
+  const stale = Date.now() - (anchor?.checkedAt || 0) > HOME_ANCHOR_RECHECK_MS;
+  const retryLookup = address && !Number.isFinite(anchor?.latitude) && stale;
+  if (anchor && anchor.address === address && !retryLookup) {
+    if (touch && stale) await storeSet(homeAnchorKey(ownerId), { ...anchor, checkedAt: Date.now() });
+    return anchor;
+  }
+  const hit = address ? await forwardGeocode(address) : null;
+  const next = { address, latitude: hit?.latitude ?? null, longitude: hit?.longitude ?? null, checkedAt: Date.now() };
+  await storeSet(homeAnchorKey(ownerId), next);
+  return next;
+}
+
+async function homeFor(ownerId, places) {
+  const anchor = places.some(p => p.kind === 'home') ? null : await storeGet(homeAnchorKey(ownerId));
+  return pickHome(places, anchor, { radiusM: PLACE_DEFAULT_RADIUS_M });
+}
+
+async function travelState(ownerId, { profileTimeZone = null } = {}) {
+  const places = await getPlaces(ownerId);
+  const fix = (await currentLocation(ownerId))?.fix;
+  const home = fix ? await homeFor(ownerId, places) : null;
+  if (!home) return null;
+  const [here, homeGeo] = await Promise.all([
+    reverseGeocode(fix.latitude, fix.longitude).catch(() => null),
+    reverseGeocode(home.latitude, home.longitude).catch(() => null),
+  ]);
+  return travelStateFor({
+    fix, home, places, here, homeGeo, profileTimeZone, nearbyM: TRAVEL_NEARBY_M, homeMarginM: placeExitMarginM,
+  });
+}
+
+// ---------- Proximity & ETA ----------
+// "How far are you from me?": distance and direction from the caller to the owner, plus a rough ETA while
+// the owner is on the move. The caller's position comes from the request (callerLatitude/callerLongitude),
+// else from the caller's own sharing devices. The owner's fix is coarsened to the caller's precision first
+// and the answer rounded to match; at city precision there is no direction.
+const PROXIMITY_ROUNDING_M = { exact: 100, street: 500, neighbourhood: 2000, city: 10000 };
+const CALLER_FIX_FRESH_MS = 30 * 60 * 1000;
+const ROUTE_FACTOR = 1.3; // straight line -> typical travelled distance
+// { callerLatitude, callerLongitude, callerAccuracy? } from a request body / realtime start message.
+function callerFixFromRequest(src) {
+  const latitude = Number(src?.callerLatitude);
+  const longitude = Number(src?.callerLongitude);
+  if (src?.callerLatitude === undefined || src?.callerLongitude === undefined) return null;
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+  const accuracy = Number(src.callerAccuracy);
+  return { latitude, longitude, accuracy: Number.isFinite(accuracy) ? accuracy : null, timestamp: Date.now(), source: 'request' };
+}
+
+async function callerPosition({ callerFix, myId, targetUserId }) {
+  if (callerFix) return callerFix;
+  if (!myId || String(myId) === String(targetUserId)) return null;
+  const fix = (await currentLocation(myId))?.fix;
+  return fix && Date.now() - fix.timestamp <= CALLER_FIX_FRESH_MS ? { ...fix, source: 'device' } : null;
+}
+
+function roundEtaMinutes(min) {
+  if (min < 10) return Math.max(1, Math.round(min));
+  if (min < 60) return Math.round(min / 5) * 5;
+  return Math.round(min / 15) * 15;
+}
+
+// -> { distanceM, direction, etaMinutes, movement, ownerAgeMs } or null when the owner's location isn't available.
+async function proximityBetween({ ownerId, callerFix, precision }) {
+  if (precision === 'hidden' || !callerFix) return null;
+  const owner = coarsenFix((await currentLocation(ownerId))?.fix, precision);
+  if (!owner) return null;
+  const step = PROXIMITY_ROUNDING_M[precision];
+  const distanceM = Math.round(haversineMeters(callerFix, owner) / step) * step;
+  const movement = await currentMovement(ownerId);
+  const moving = movement && movement.state !== 'stationary' && movement.speedMps > 0;
+  return {
+    distanceM,
+    direction: precision !== 'city' && distanceM > 0 ? compassPoint(bearingDegrees(callerFix, owner)) : null,
+    etaMinutes: moving ? roundEtaMinutes((distanceM * ROUTE_FACTOR) / movement.speedMps / 60) : null,
+    movement: movement?.state || null,
+    ownerAgeMs: Date.now() - (owner.updatedAt ?? owner.timestamp),
+  };
+}
+
+function proximityText(p) {
+  if (!p) return null;
+  const distance = p.distanceM < 1000
+    ? (p.distanceM ? `about ${p.distanceM} m` : 'very close')
+    : `about ${Number((p.distanceM / 1000).toFixed(p.distanceM < 10000 ? 1 : 0))} km`;
+  const direction = p.direction ? `, to the ${p.direction} of them` : '';
+  const eta = p.etaMinutes !== null
+    ? ` You're ${MOVEMENT_PHRASES[p.movement]}; at this pace you'd be roughly ${p.etaMinutes} minutes away if heading to them.`
+    : p.movement === 'stationary' ? ` You're not moving right now, so there's no ETA.` : '';
+  const stale = p.ownerAgeMs > 15 * 60 * 1000 ? ` (based on your location from ${timeAgo(p.ownerAgeMs)})` : '';
+  return `Distance from the caller to you: ${distance}${direction}${stale}.${eta}`;
+}
+
 // ---------- Location (tied to device & user) ----------
+// One fix ({ deviceId, payload }) or a batch from one device ({ deviceId, points: [...] }, e.g. an offline queue).
+// Points are de-duplicated by timestamp and sorted; points that are invalid, older than the device's last
+// accepted fix (out of order), older than LOCATION_MAX_POINT_AGE_HOURS or in the future are rejected.
+// Key locdev:<owner> (hash deviceId -> that device's latest fix) is the per-device watermark.
+const LOCATION_BATCH_MAX = 500;
+const LOCATION_MAX_POINT_AGE_MS = Number(process.env.LOCATION_MAX_POINT_AGE_HOURS || 24) * 60 * 60 * 1000;
+function deviceFixesKey(ownerId) { return `locdev:${ownerId}`; }
+
+// How often the device should report, from the owner's movement state and geofence.
+function uploadHints({ movement, placeState }) {
+  const hint = (state, minIntervalSec, distanceFilterM) => ({ state, minIntervalSec, distanceFilterM, maxBatchSize: LOCATION_BATCH_MAX });
+  if (movement?.state === 'driving' || movement?.state === 'in_transit') return hint(movement.state, 15, 100);
+  if (movement?.state === 'walking') return hint('walking', 30, 25);
+  if (placeState?.placeId) return hint('at_place', 300, 100);
+  return hint(movement?.state || 'unknown', 120, 75);
+}
+
+// Device fusion (modules/deviceFusion.js) tuning; key locprimary:<owner> ({ deviceId }) mirrors the device
+// record's primary flag, refreshed on every upload.
+const FUSION_OPTIONS = {
+  staleMs: Number(process.env.LOCATION_FUSION_STALE_MIN || 15) * 60 * 1000,
+  driftMps: Number(process.env.LOCATION_FUSION_DRIFT_MPS || 1.5),
+};
+
+// Fused current location; falls back to the single loc:<owner> record written before per-device fixes existed.
+function primaryDeviceKey(ownerId) { return `locprimary:${ownerId}`; }
+async function currentLocation(ownerId) {
+  const [fixes, primary] = await Promise.all([
+    storeHashGetAll(deviceFixesKey(ownerId)),
+    storeGet(primaryDeviceKey(ownerId)),
+  ]);
+  const fused = fuseDeviceFixes(Object.values(fixes), { ...FUSION_OPTIONS, primaryDeviceId: primary?.deviceId || null });
+  if (fused) return fused;
+  const legacy = await storeGet(`loc:${ownerId}`);
+  return validFix(legacy) ? { fix: legacy, reason: 'only_device', candidates: 1 } : null;
+}
+
+async function refreshHomeAnchorFromUpload(ownerId, auth) {
+  const anchor = await storeGet(homeAnchorKey(ownerId));
+  if (anchor && Date.now() - anchor.checkedAt < HOME_ANCHOR_RECHECK_MS) return;
+  const resp = await dbGET('/me', auth);
+  if (!resp.ok) return;
+  const me = await resp.json();
+  if (String(me?._id) !== String(ownerId)) return;
+  await syncHomeAnchor(ownerId, me.profile, { touch: true });
+}
+
 app.post('/location/update', async (req, res) => {
   try {
     const auth = req.headers.authorization?.replace('Bearer ', '');
     if (!auth) return res.status(401).json({ error: 'unauthorized' });
 
-    const { deviceId, payload } = req.body || {};
+    const { deviceId, payload, points } = req.body || {};
     if (!deviceId || typeof deviceId !== 'string') return res.status(400).json({ error: 'deviceId required' });
-    if (!payload || typeof payload.latitude !== 'number' || typeof payload.longitude !== 'number' || typeof payload.timestamp !== 'number') {
+    const batch = Array.isArray(points) ? points : [payload];
+    if (!Array.isArray(points) && !validFix(payload)) {
       return res.status(400).json({ error: 'invalid payload' });
     }
+    if (!batch.length) return res.status(400).json({ error: 'points must not be empty' });
+    if (batch.length > LOCATION_BATCH_MAX) return res.status(413).json({ error: `at most ${LOCATION_BATCH_MAX} points per batch` });
 
     const resp = await dbGET(`/devices/${encodeURIComponent(deviceId)}`, auth);
     if (resp.status === 404) return res.status(403).json({ error: 'device not registered' });
@@ -302,46 +946,105 @@ app.post('/location/update', async (req, res) => {
     if (!dev?.ownerId) return res.status(403).json({ error: 'device has no owner' });
     if (dev.sharing !== true) return res.status(403).json({ error: 'sharing disabled for this device' });
 
-    const key = `loc:${dev.ownerId}`;
-    const doc = { ...payload, updatedAt: Date.now(), deviceId };
-    await storeSet(key, doc);
+    const ownerId = dev.ownerId;
+    const lastForDevice = await storeHashGet(deviceFixesKey(ownerId), deviceId);
+    const { accepted, rejected } = screenFixes(batch, { watermark: lastForDevice?.timestamp || 0, maxAgeMs: LOCATION_MAX_POINT_AGE_MS });
+    // A single fix that can't be stored is an error, so clients without batch support don't lose it silently
+    if (!Array.isArray(points) && !accepted.length) {
+      return res.status(422).json({
+        error: 'fix rejected',
+        reason: rejected[0]?.reason || 'invalid',
+        latestTimestamp: lastForDevice?.timestamp ?? null,
+      });
+    }
+
+    const knownPrimary = (await storeGet(primaryDeviceKey(ownerId)))?.deviceId || null;
+    if (dev.primary && knownPrimary !== deviceId) {
+      await storeSet(primaryDeviceKey(ownerId), { deviceId }, { ttlMs: LOCATION_HISTORY_RETENTION_MS });
+    } else if (!dev.primary && knownPrimary === deviceId) {
+      await storeDel(primaryDeviceKey(ownerId));
+    }
+
+    const updatedAt = Date.now();
+    let placeState = null;
+    let movement = null;
+    if (accepted.length) {
+      const newest = { ...accepted[accepted.length - 1], updatedAt, deviceId, deviceLabel: dev.label || null };
+      await storeHashSet(deviceFixesKey(ownerId), deviceId, newest, { ttlMs: LOCATION_HISTORY_RETENTION_MS });
+      await appendLocationHistory(ownerId, accepted, deviceId);
+      const current = await currentLocation(ownerId);
+      await storeSet(`loc:${ownerId}`, current.fix);
 
-    await dbPOST(`/devices/${encodeURIComponent(deviceId)}/touch`, auth, { lastSeenAt: doc.updatedAt }).catch(()=>{});
+      // Only the winning device drives geofences and movement (a tablet left at home must not flip them)
+      if (current.fix.deviceId === deviceId) {
+        placeState = await updateGeofences(ownerId, accepted);
+        movement = await updateMovement(ownerId, newest.timestamp, deviceId);
+        locationBus.emit(`loc:${ownerId}`);
+      }
+
+      await dbPOST(`/devices/${encodeURIComponent(deviceId)}/touch`, auth, { lastSeenAt: updatedAt }).catch(()=>{});
+      refreshHomeAnchorFromUpload(ownerId, auth).catch(e => console.warn('[HOME ANCHOR]', e?.message || e));
+    }
 
     res.setHeader('X-Store', storeKind());
-    res.setHeader('X-User', dev.ownerId);
-    return res.json({ ok: true });
+    res.setHeader('X-User', ownerId);
+    return res.json({
+      ok: true,
+      accepted: accepted.length,
+      rejected,
+      latestTimestamp: accepted.length ? accepted[accepted.length - 1].timestamp : lastForDevice?.timestamp ?? null,
+      hints: uploadHints({ movement, placeState }),
+    });
   } catch (e) {
     return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
   }
 });
 
+// Reads below need a bearer: self, or a guest whose grant sets the precision they get.
 app.get('/location/latest', async (req, res) => {
   try {
-    const userId = String(req.query.userId || '').trim();
-    if (!userId) return res.status(400).json({ error: 'userId required' });
-    const key = `loc:${userId}`;
-    const data = await storeGet(key);
-    if (!data) return res.json({ found: false });
+    const bearer = bearerFrom(req);
+    if (!bearer) return res.status(401).json({ error: 'unauthorized' });
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw: req.query.userId });
+    if (caller.error) return res.status(caller.status).json({ error: caller.error });
+    const precision = caller.access.permissions.locationPrecision;
+    if (precision === 'hidden') return res.json({ found: false, precision });
+
+    const current = await currentLocation(caller.targetUserId);
+    if (!current) return res.json({ found: false });
+    const data = current.fix;
+    // movement (state, since, speed) only at street precision or finer: "driving since 8:05" tracks them as well
+    const movement = ['exact', 'street'].includes(precision) ? await currentMovement(caller.targetUserId) : null;
 
     const ageMs = Date.now() - (data.updatedAt ?? data.timestamp ?? 0);
+    const fix = coarsenFix(data, precision);
     let place = null;
     let address = null;
     if (typeof data.latitude === 'number' && typeof data.longitude === 'number') {
       const geo = await reverseGeocode(data.latitude, data.longitude).catch(() => null);
-      place = geo?.display_name || null;
-      address = geo?.address || null;
+      address = addressForPrecision(geo?.address, precision);
+      place = precision === 'exact' ? geo?.display_name || null : formatAddressLine(address);
     }
     res.setHeader('X-Store', storeKind());
     return res.json({
       found: true,
-      latitude: data.latitude,
-      longitude: data.longitude,
-      accuracy: data.accuracy ?? null,
+      precision,
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      accuracy: fix.accuracy,
       updatedAt: data.updatedAt ?? data.timestamp,
       ageMs,
       place,
-      address
+      address,
+      movement: movement ? { state: movement.state, since: movement.since, speedMps: movement.speedMps } : null,
+      // which device and why only for the owner or an exact-precision grant; it names their devices
+      device: caller.access.relation === 'self' || precision === 'exact' ? {
+        id: data.deviceId || null,
+        label: data.deviceLabel || null,
+        primary: !!data.primary,
+        reason: current.reason,
+        candidates: current.candidates,
+      } : null,
     });
   } catch (e) {
     return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
@@ -350,300 +1053,1492 @@ app.get('/location/latest', async (req, res) => {
 
 app.get('/location/debug', async (req, res) => {
   try {
-    const userId = String(req.query.userId || '').trim();
-    if (!userId) return res.status(400).type('text/plain').send('userId required');
-    const key = `loc:${userId}`;
-    const data = await storeGet(key);
-    if (!data) return res.type('text/plain').send('No recent location.');
-
-    const ageMs = Date.now() - (data.updatedAt ?? data.timestamp ?? 0);
-    const geo = await reverseGeocode(data.latitude, data.longitude).catch(() => null);
-    const line = formatAddressLine(geo?.address) || geo?.display_name || `${data.latitude}, ${data.longitude}`;
+    const bearer = bearerFrom(req);
+    if (!bearer) return res.status(401).type('text/plain').send('unauthorized');
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw: req.query.userId });
+    if (caller.error) return res.status(caller.status).type('text/plain').send(caller.error);
     return res
       .type('text/plain; charset=utf-8')
-      .send(`Last seen: ${line} (${timeAgo(ageMs)}) [acc=${data.accuracy ?? 'n/a'}m]`);
+      .send(await latestLocationText(caller.targetUserId, caller.access.permissions.locationPrecision));
   } catch (e) {
     return res.status(500).type('text/plain; charset=utf-8').send(`Error: ${String(e?.message || e)}`);
   }
 });
 
-// ---------- Helper to build location text ----------
-async function latestLocationText(userId) {
-  const key = `loc:${userId}`;
-  const data = await storeGet(key);
-  if (!data) return 'No recent location is available.';
-  const ageMs = Date.now() - (data.updatedAt ?? data.timestamp ?? 0);
-  const geo = await reverseGeocode(data.latitude, data.longitude).catch(() => null);
-  const streety = formatAddressLine(geo?.address) || geo?.display_name ||
-    `${data.latitude.toFixed(5)}, ${data.longitude.toFixed(5)}`;
-  const acc = Number.isFinite(data.accuracy) ? ` Accuracy ~${Math.round(data.accuracy)}m.` : '';
-  return `Last seen near ${streety} (${timeAgo(ageMs)}).${acc}`;
-}
+// Track between from/to (default: last 24h), from every device or just ?deviceId=. simplify=<meters>
+// (Douglas-Peucker) and/or every=<seconds> (downsampling), then capped to `limit` evenly spaced points.
+app.get('/location/history', async (req, res) => {
+  try {
+    const bearer = bearerFrom(req);
+    if (!bearer) return res.status(401).json({ error: 'unauthorized' });
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw: req.query.userId });
+    if (caller.error) return res.status(caller.status).json({ error: caller.error });
 
-// ==== CALENDAR INTEGRATION ============================================
-// Forward window: we request mode=forward from AUTH_API, with tz if known.
-async function fetchCalendarWindow({ bearer, calendarId = 'primary', targetUserId, myId, timeZone }) {
-  if (!bearer) return null;
+    const now = Date.now();
+    const to = parseTimeParam(req.query.to) ?? now;
+    const from = parseTimeParam(req.query.from) ?? to - 24 * 60 * 60 * 1000;
+    if (from > to) return res.status(400).json({ error: 'from must be before to' });
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit || '500'), 10) || 500, 1), LOCATION_HISTORY_MAX_POINTS);
+    const simplifyM = Number(req.query.simplify || 0);
+    const everyS = Number(req.query.every || 0);
 
-  const actingAsOther = targetUserId && myId && String(targetUserId) !== String(myId);
-  const base = actingAsOther
-    ? `${AUTH_API}/people/${encodeURIComponent(targetUserId)}/calendar/window`
-    : `${AUTH_API}/calendar/window`;
+    const precision = caller.access.permissions.locationPrecision;
+    if (precision === 'hidden') return res.status(403).json({ error: 'location_hidden' });
 
-  const url = `${base}?mode=forward&calendarId=${encodeURIComponent(calendarId)}${timeZone ? `&tz=${encodeURIComponent(timeZone)}` : ''}`;
+    const raw = await storeZRange(locationHistoryKey(caller.targetUserId), from, to);
+    const deviceId = typeof req.query.deviceId === 'string' && req.query.deviceId ? req.query.deviceId : null;
+    let points = raw.filter(p => typeof p?.latitude === 'number' && typeof p?.longitude === 'number')
+      .filter(p => !deviceId || p.deviceId === deviceId);
+    if (simplifyM > 0) points = simplifyTrack(points, simplifyM);
+    if (everyS > 0) points = downsampleTrack(points, everyS * 1000);
+    if (precision !== 'exact') {
+      // Coarsened neighbours collapse onto the same grid cell; keep one point per cell visit
+      points = points
+        .map(p => coarsenFix(p, precision))
+        .filter((p, i, all) => i === 0 || p.latitude !== all[i - 1].latitude || p.longitude !== all[i - 1].longitude);
+    }
+    points = capTrack(points, limit);
 
-  const r = await fetch(url, { headers: { Authorization: `Bearer ${bearer}`, Accept: 'application/json' } });
-  if (!r.ok) return null;
-  return r.json(); // { range:{...}, items:[...] }
+    res.setHeader('X-Store', storeKind());
+    return res.json({ userId: caller.targetUserId, precision, from, to, total: raw.length, count: points.length, points });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// ---------- LOCATION: live share sessions & stream ----------
+// The owner opens time-limited share sessions (for one guest, or every granted guest) and can stop them at any
+// time; GET /location/stream pushes updates to a guest while their grant and a session are both active.
+// Key: locshares:<owner> (hash id -> { id, guestId, createdAt, expiresAt }).
+// Updates arrive through the in-process bus, with a KV poll as the fallback across instances.
+const LOCATION_SHARE_MAX_MS = 24 * 60 * 60 * 1000;
+const LOCATION_STREAM_POLL_MS = Number(process.env.LOCATION_STREAM_POLL_MS || 5000);
+const LOCATION_STREAM_ACL_RECHECK_MS = 60 * 1000;
+const LOCATION_STREAM_PING_MS = 15 * 1000;
+const locationBus = new EventEmitter();
+locationBus.setMaxListeners(0);
+function locationSharesKey(ownerId) { return `locshares:${ownerId}`; }
+
+async function listShares(ownerId) {
+  const all = await storeHashGetAll(locationSharesKey(ownerId));
+  const now = Date.now();
+  const active = [];
+  for (const share of Object.values(all)) {
+    if (share?.expiresAt > now) active.push(share);
+    else if (share?.id) await storeHashDel(locationSharesKey(ownerId), share.id);
+  }
+  return active.sort((a, b) => a.expiresAt - b.expiresAt);
 }
 
-function summarizeEventsForLLM(payload, maxItems = 8) {
-  if (!payload?.items?.length) return null;
-  const items = payload.items.slice(0, maxItems);
-  const tz = payload.range?.timeZone || 'UTC';
+async function activeShareFor(ownerId, guestId) {
+  const shares = (await listShares(ownerId)).filter(s => !s.guestId || s.guestId === String(guestId));
+  return shares[shares.length - 1] || null;
+}
 
-  const lines = items.map(e => {
-    if (e.isAllDay) {
-      // show all-day with date only
-      const d = e.start ? new Date(`${e.start}T00:00:00Z`) : null;
-      const when = d ? d.toLocaleDateString(undefined, { timeZone: tz, weekday: 'short', month: 'short', day: 'numeric' }) : '(all-day)';
-      const where = e.location ? ` @ ${e.location}` : '';
-      return `• ${when}: "${e.title}" (all-day)${where}`;
-    } else {
-      const d = e.start ? new Date(e.start) : null;
-      const when = d ? d.toLocaleString(undefined, {
-        timeZone: tz, weekday: 'short', month: 'short', day: 'numeric',
-        hour: '2-digit', minute: '2-digit'
-      }) : '(no start)';
-      const where = e.location ? ` @ ${e.location}` : '';
-      return `• ${when}: "${e.title}"${where}`;
+// What a subscriber sees of the owner's current location, at their precision (no geocoding: pushed often).
+async function liveLocationPayload(ownerId, precision) {
+  const current = await currentLocation(ownerId);
+  if (!current) return null;
+  const fix = coarsenFix(current.fix, precision);
+  const movement = await currentMovement(ownerId);
+  const place = PLACE_NAME_PRECISIONS.includes(precision) ? await storeGet(placeStateKey(ownerId)) : null;
+  return {
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    accuracy: fix.accuracy,
+    timestamp: current.fix.timestamp,
+    precision,
+    movement: movement ? { state: movement.state, since: movement.since } : null,
+    place: place?.placeId ? { name: place.name, since: place.since } : null,
+  };
+}
+
+app.get('/location/shares', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    return res.json({ shares: await listShares(self.myId) });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// { guestId? (omit = every granted guest), durationMinutes? (default 60, max 1440) }
+app.post('/location/shares', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const minutes = req.body?.durationMinutes === undefined ? 60 : Number(req.body.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes * 60 * 1000 > LOCATION_SHARE_MAX_MS) {
+      return res.status(400).json({ error: 'durationMinutes must be 1..1440' });
     }
-  });
+    const guestId = req.body?.guestId ? String(req.body.guestId).trim() : null;
+    const now = Date.now();
+    const share = {
+      id: crypto.randomBytes(9).toString('base64url'),
+      guestId,
+      createdAt: now,
+      expiresAt: now + Math.round(minutes * 60 * 1000),
+    };
+    await storeHashSet(locationSharesKey(self.myId), share.id, share, { ttlMs: LOCATION_SHARE_MAX_MS });
+    return res.status(201).json(share);
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
 
-  return [
-    `Calendar (tz=${tz})`,
-    `Window: now → end of tomorrow`,
-    ...(payload.items.length > maxItems ? [`(showing ${items.length} of ${payload.items.length})`] : []),
-    ...lines
-  ].join('\n');
-}
+app.delete('/location/shares/:id', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const id = String(req.params.id || '').trim();
+    if (!(await storeHashGet(locationSharesKey(self.myId), id))) return res.status(404).json({ error: 'not_found' });
+    await storeHashDel(locationSharesKey(self.myId), id);
+    locationBus.emit(`shares:${self.myId}`);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
 
-// ===========================================================================
+// Stops every live share at once
+app.delete('/location/shares', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    await storeDel(locationSharesKey(self.myId));
+    locationBus.emit(`shares:${self.myId}`);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
 
-// ---------- VOICE: audio -> STT -> Chat -> TTS (with ACL, persona, & prompt rules) ----------
-app.post('/voice', upload.single('audio'), async (req, res) => {
+// SSE: share (session info), location (on every update), end ({ reason: expired | stopped | access_revoked }).
+app.get('/location/stream', async (req, res) => {
   try {
-    if (!req.file) return res.status(400).type('text/plain; charset=utf-8').send('No file uploaded as "audio"');
-    if (!GROQ_KEY) return res.status(500).type('text/plain; charset=utf-8').send('Missing GROQ_API_KEY');
+    const bearer = bearerFrom(req);
+    if (!bearer) return res.status(401).json({ error: 'unauthorized' });
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw: req.query.userId });
+    if (caller.error) return res.status(caller.status).json({ error: caller.error });
+    const { myId, targetUserId } = caller;
+    let precision = caller.access.permissions.locationPrecision;
+    if (precision === 'hidden') return res.status(403).json({ error: 'location_hidden' });
 
-    // Auth context
-    const bearer = req.headers.authorization?.replace('Bearer ', '') ||
-                   (typeof req.body?.authToken === 'string' ? req.body.authToken : '');
+    const isSelf = caller.access.relation === 'self';
+    let share = isSelf ? null : await activeShareFor(targetUserId, myId);
+    if (!isSelf && !share) return res.status(403).json({ error: 'no_active_share' });
 
-    // Persona and targeting
-    const {
-      profileName,
-      preferredName,
-      voiceId: voiceIdRaw,
-      conversationId,
-      hints,
-      targetUserId: targetUserIdRaw,
-      calendarId: calendarIdRaw, // (optional) allow client to specify a calendar
-      tz: tzFromClient
-    } = req.body || {};
-    
-    // Identify caller (me) if authed
-    let me = null;
-    if (bearer) {
-      const respMe = await dbGET('/me', bearer);
-      if (respMe.ok) me = await respMe.json();
-    }
-    const myId = me?._id || null;
-
-    // Resolve effective target (supports public fallback)
-    let targetUserId = (targetUserIdRaw && String(targetUserIdRaw).trim()) || null;
-
-    if (bearer) {
-      if (!targetUserId) targetUserId = myId;
-      if (!targetUserId) {
-        return res.status(401).type('text/plain; charset=utf-8').send('Sign in required');
-      }
-      if (myId !== targetUserId) {
-        const acl = await dbGET(`/acl/can-act-as?target=${encodeURIComponent(targetUserId)}`, bearer);
-        if (acl.status === 403) return res.status(403).type('text/plain; charset=utf-8').send('Access denied');
-        if (!acl.ok) return res.status(502).type('text/plain; charset=utf-8').send('ACL check failed');
-        const j = await acl.json();
-        if (!j?.allowed) return res.status(403).type('text/plain; charset=utf-8').send('Access denied');
+    openEventStream(res);
+    sendEvent(res, 'share', share ? { id: share.id, expiresAt: share.expiresAt } : { self: true });
+
+    let closed = false;
+    let lastSent = 0;
+    let aclCheckedAt = Date.now();
+    const pushLocation = async () => {
+      const payload = await liveLocationPayload(targetUserId, precision);
+      if (closed || !payload || payload.timestamp === lastSent) return;
+      lastSent = payload.timestamp;
+      sendEvent(res, 'location', payload);
+    };
+    const end = (reason) => {
+      if (closed) return;
+      sendEvent(res, 'end', { reason });
+      cleanup();
+      res.end();
+    };
+    // Share still valid? Re-reads KV so a stop on another instance also ends the stream.
+    const recheck = async () => {
+      if (closed || isSelf) return true;
+      const previous = share;
+      share = await activeShareFor(targetUserId, myId);
+      if (!share) {
+        end(Date.now() >= previous.expiresAt ? 'expired' : 'stopped');
+        return false;
       }
-    } else {
-      if (!targetUserId) targetUserId = PUBLIC_DEFAULT_TARGET_USER_ID;
-      if (!targetUserId) {
-        return res.status(401).type('text/plain; charset=utf-8')
-          .send('auth_required_or_public_target_not_configured');
+      if (share.id !== previous.id || share.expiresAt !== previous.expiresAt) {
+        sendEvent(res, 'share', { id: share.id, expiresAt: share.expiresAt });
+        armExpiry();
       }
-      if (PUBLIC_DEFAULT_TARGET_USER_ID && targetUserId !== PUBLIC_DEFAULT_TARGET_USER_ID) {
-        return res.status(403).type('text/plain; charset=utf-8').send('forbidden_public_target');
+      if (Date.now() - aclCheckedAt >= LOCATION_STREAM_ACL_RECHECK_MS) {
+        aclCheckedAt = Date.now();
+        const again = await resolveCallerAndTarget({ bearer, targetUserIdRaw: targetUserId });
+        if (again.error || again.access.permissions.locationPrecision === 'hidden') {
+          end('access_revoked');
+          return false;
+        }
+        precision = again.access.permissions.locationPrecision;
       }
+      return true;
+    };
+
+    const onLocation = () => { pushLocation().catch(() => {}); };
+    const onShares = () => { recheck().catch(() => {}); };
+    const tick = async () => {
+      if (await recheck()) await pushLocation();
+    };
+    const poll = setInterval(() => { tick().catch(() => {}); }, LOCATION_STREAM_POLL_MS);
+    const ping = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, LOCATION_STREAM_PING_MS);
+    // Fires a recheck when the current share runs out; a newer or extended share re-arms it.
+    let expiry = null;
+    function armExpiry() {
+      clearTimeout(expiry);
+      expiry = share ? setTimeout(() => { tick().catch(() => {}); }, Math.max(0, share.expiresAt - Date.now())) : null;
     }
+    armExpiry();
+    function cleanup() {
+      closed = true;
+      clearInterval(poll);
+      clearInterval(ping);
+      clearTimeout(expiry);
+      locationBus.off(`loc:${targetUserId}`, onLocation);
+      locationBus.off(`shares:${targetUserId}`, onShares);
+    }
+    locationBus.on(`loc:${targetUserId}`, onLocation);
+    locationBus.on(`shares:${targetUserId}`, onShares);
+    req.on('close', cleanup);
 
-    // Persona defaults from DB (if frontend didn't pass)
-    let personaFull = profileName || '';
-    let personaShort = preferredName || '';
-    let personaVoice = sanitizeVoiceId(voiceIdRaw) || '';
-    let personaProfile = null;
+    await pushLocation();
+  } catch (e) {
+    if (!res.headersSent) return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+    res.end();
+  }
+});
 
-    const who = await fetchPersonaBundle({
-      authApiBase: AUTH_API,
+// ---------- OWNER: named places (geofences) ----------
+app.get('/places', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const [places, state] = await Promise.all([getPlaces(self.myId), storeGet(placeStateKey(self.myId))]);
+    return res.json({ places, current: state || null });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// Replaces the whole list: { places: [{ id?, name, kind?, latitude, longitude, radiusM?, address? }] }
+app.put('/places', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const raw = req.body?.places;
+    if (!Array.isArray(raw)) return res.status(400).json({ error: 'places array required' });
+    if (raw.length > PLACES_MAX) return res.status(400).json({ error: `at most ${PLACES_MAX} places` });
+    const places = [];
+    for (const item of raw) {
+      const r = sanitizePlace(item);
+      if (r.error) return res.status(400).json({ error: r.error });
+      if (places.some(p => p.id === r.place.id)) return res.status(400).json({ error: `duplicate place id "${r.place.id}"` });
+      places.push(r.place);
+    }
+    await storeSet(placesKey(self.myId), places);
+    return res.json({ places });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// Geocodes the profile's homeAddress (as "Home") and usualPlaces; places already present by name are kept.
+app.post('/places/import-profile', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const profile = self.me.profile || {};
+    const wanted = [
+      ...(profile.homeAddress ? [{ name: 'Home', kind: 'home', query: profile.homeAddress }] : []),
+      ...(Array.isArray(profile.usualPlaces) ? profile.usualPlaces : [])
+        .map(q => String(q || '').trim())
+        .filter(Boolean)
+        .map(q => ({ name: q.split(',')[0].slice(0, 60), kind: 'other', query: q })),
+    ];
+
+    const places = await getPlaces(self.myId);
+    const imported = [];
+    const failed = [];
+    for (const w of wanted) {
+      if (places.length >= PLACES_MAX) break;
+      if (places.some(p => p.name.toLowerCase() === w.name.toLowerCase())) continue;
+      const hit = await forwardGeocode(w.query);
+      const r = hit && sanitizePlace({ ...hit, name: w.name, kind: w.kind, address: w.query }, { source: 'profile' });
+      if (!r?.place) {
+        failed.push(w.query);
+        continue;
+      }
+      places.push(r.place);
+      imported.push(r.place);
+    }
+    if (imported.length) await storeSet(placesKey(self.myId), places);
+    return res.json({ places, imported, failed });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+app.get('/places/events', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const to = parseTimeParam(req.query.to) ?? Date.now();
+    const from = parseTimeParam(req.query.from) ?? to - 24 * 60 * 60 * 1000;
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit || '100'), 10) || 100, 1), 1000);
+    const events = await storeZRange(placeEventsKey(self.myId), from, to);
+    return res.json({ from, to, events: events.slice(-limit) });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// ---------- Helper to build location text ----------
+// Same text for /location/debug and the LLM prompt, coarsened to what the caller may know.
+// Named places ("At Office since 9:40 AM") are used instead of an address unless precision is city or coarser.
+const PLACE_NAME_PRECISIONS = ['exact', 'street', 'neighbourhood'];
+async function latestLocationText(userId, precision = 'exact', { timeZone = 'UTC' } = {}) {
+  if (precision === 'hidden') return 'Location is not shared with this caller.';
+  const data = (await currentLocation(userId))?.fix;
+  if (!data) return 'No recent location is available.';
+  const ageMs = Date.now() - (data.updatedAt ?? data.timestamp ?? 0);
+
+  const moving = movementText(await currentMovement(userId), timeZone, { withSpeed: ['exact', 'street'].includes(precision) });
+  const lead = moving ? `${moving}. ` : '';
+  const placeText = PLACE_NAME_PRECISIONS.includes(precision) ? await placeStatusText(userId, timeZone) : null;
+  if (placeText?.startsWith('At ')) return `${lead}${placeText} (last update ${timeAgo(ageMs)}).`;
+
+  const fix = coarsenFix(data, precision);
+  const geo = await reverseGeocode(data.latitude, data.longitude).catch(() => null);
+  const decimals = LOCATION_PRECISION_DECIMALS[precision] ?? 5;
+  const streety = formatAddressLine(addressForPrecision(geo?.address, precision)) ||
+    (precision === 'exact' ? geo?.display_name : null) ||
+    `${fix.latitude.toFixed(decimals)}, ${fix.longitude.toFixed(decimals)}`;
+  const acc = precision === 'exact' && Number.isFinite(fix.accuracy) ? ` Accuracy ~${Math.round(fix.accuracy)}m.` : '';
+  return `${lead}${placeText ? `${placeText}. ` : ''}Last seen near ${streety} (${timeAgo(ageMs)}).${acc}`;
+}
+
+// ==== CALENDAR INTEGRATION ============================================
+// Forward window by default: we request mode=forward from AUTH_API, with tz if known.
+// When the question names a range ("next week", "tomorrow", "next 3 days", see pickCalendarRange) we ask for that instead.
+
+// No calendarId = every calendar the owner selected on AUTH_API (see /me/calendars).
+async function fetchCalendarWindow({ bearer, calendarId = null, targetUserId, myId, timeZone, range = null }) {
+  if (!bearer) return null;
+
+  const actingAsOther = targetUserId && myId && String(targetUserId) !== String(myId);
+  const base = actingAsOther
+    ? `${AUTH_API}/people/${encodeURIComponent(targetUserId)}/calendar/window`
+    : `${AUTH_API}/calendar/window`;
+
+  const qs = new URLSearchParams({
+    ...(range ? range.params : { mode: 'forward' }),
+    ...(calendarId ? { calendarId } : {}),
+    ...(timeZone ? { tz: timeZone } : {}),
+  });
+  const r = await fetch(`${base}?${qs}`, { headers: { Authorization: `Bearer ${bearer}`, Accept: 'application/json' } });
+  if (!r.ok) return null;
+  return r.json(); // { range:{...}, items:[...], nextPageToken }
+}
+
+function summarizeEventsForLLM(payload, maxItems = 8, windowLabel = 'now → end of tomorrow') {
+  if (!payload?.items?.length) return null;
+  const items = payload.items.slice(0, maxItems);
+  const tz = payload.range?.timeZone || 'UTC';
+  // Several calendars merged: say which one each event is on ("Work", "Family", ...)
+  const source = e => (payload.calendars?.length > 1 && e.source?.calendar ? ` [${e.source.calendar}]` : '');
+
+  const lines = items.map(e => {
+    if (e.isAllDay) {
+      // show all-day with date only
+      const d = e.start ? new Date(`${e.start}T00:00:00Z`) : null;
+      const when = d ? d.toLocaleDateString(undefined, { timeZone: tz, weekday: 'short', month: 'short', day: 'numeric' }) : '(all-day)';
+      const where = e.location ? ` @ ${e.location}` : '';
+      return `• ${when}: "${e.title}" (all-day)${where}${source(e)}`;
+    } else {
+      const d = e.start ? new Date(e.start) : null;
+      const when = d ? d.toLocaleString(undefined, {
+        timeZone: tz, weekday: 'short', month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit'
+      }) : '(no start)';
+      const where = e.location ? ` @ ${e.location}` : '';
+      return `• ${when}: "${e.title}"${where}${source(e)}`;
+    }
+  });
+
+  return [
+    `Calendar (tz=${tz})`,
+    `Window: ${windowLabel}`,
+    ...(payload.detail && payload.detail !== 'full'
+      ? [`(This caller may only know ${payload.detail === 'busy' ? 'when you are busy' : 'event titles and times'}; "Busy" entries are private — never guess what they are.)`]
+      : []),
+    ...(payload.items.length > maxItems || payload.nextPageToken ? [`(showing ${items.length} of ${payload.nextPageToken ? 'more than ' : ''}${payload.items.length})`] : []),
+    ...lines
+  ].join('\n');
+}
+
+// Free/busy: busy blocks and open slots inside the owner's working hours (AUTH_API computes them).
+async function fetchFreeBusy({ bearer, targetUserId, myId, range = null, timeZone, minMinutes = 30 }) {
+  if (!bearer) return null;
+  const actingAsOther = targetUserId && myId && String(targetUserId) !== String(myId);
+  const base = actingAsOther
+    ? `${AUTH_API}/people/${encodeURIComponent(targetUserId)}/calendar/freebusy`
+    : `${AUTH_API}/calendar/freebusy`;
+  const params = range?.params.days ? { days: String(Math.min(Number(range.params.days), 14)) } : range?.params || { range: 'today' };
+  const qs = new URLSearchParams({ ...params, minMinutes: String(minMinutes), ...(timeZone ? { tz: timeZone } : {}) });
+  const r = await fetch(`${base}?${qs}`, { headers: { Authorization: `Bearer ${bearer}`, Accept: 'application/json' } });
+  if (!r.ok) return null;
+  return r.json(); // { range, workingHours, minMinutes, busy:[{start,end}], free:[{start,end,minutes}] }
+}
+
+function summarizeFreeBusyForLLM(payload, dayLabel) {
+  if (!payload?.range) return null;
+  const tz = payload.range.timeZone || 'UTC';
+  const multiDay = new Date(payload.range.to) - new Date(payload.range.from) > 24 * 60 * 60 * 1000;
+  const t = iso => new Date(iso).toLocaleString('en-US', {
+    timeZone: tz, hour: 'numeric', minute: '2-digit', ...(multiDay ? { weekday: 'short' } : {}),
+  });
+  const span = b => `${t(b.start)}–${t(b.end)}`;
+  return [
+    `Free/busy for ${dayLabel} (tz=${tz}, from ${t(payload.range.from)}${payload.workingHours ? ', within working hours' : ''})`,
+    payload.busy.length ? `Busy: ${payload.busy.map(span).join(', ')}` : 'Busy: nothing scheduled',
+    payload.free.length
+      ? `Open slots of ${payload.minMinutes}+ min: ${payload.free.map(span).join(', ')}`
+      : `No open slots of ${payload.minMinutes}+ min in that window`,
+  ].join('\n');
+}
+
+// ===========================================================================
+
+// ---------- Caller, persona & reply pipeline (shared by /voice and /chat) ----------
+function bearerFrom(req) {
+  return req.headers.authorization?.replace('Bearer ', '') ||
+         (typeof req.body?.authToken === 'string' ? req.body.authToken : '');
+}
+
+// Identify the caller (if authed) and the persona they may talk to.
+// Returns { me, myId, targetUserId } or { status, error } when the call must be rejected.
+async function resolveCallerAndTarget({ bearer, targetUserIdRaw }) {
+  let me = null;
+  if (bearer) {
+    const respMe = await dbGET('/me', bearer);
+    if (respMe.ok) me = await respMe.json();
+  }
+  const myId = me?._id || null;
+
+  // Resolve effective target (supports public fallback)
+  let targetUserId = (targetUserIdRaw && String(targetUserIdRaw).trim()) || null;
+  // What the caller may see of the target: relation + the grant's permissions
+  let access = { relation: 'self', permissions: { locationPrecision: 'exact' } };
+
+  if (bearer) {
+    if (!targetUserId) targetUserId = myId;
+    if (!targetUserId) return { status: 401, error: 'Sign in required' };
+    if (myId !== targetUserId) {
+      const acl = await dbGET(`/acl/can-act-as?target=${encodeURIComponent(targetUserId)}`, bearer);
+      if (acl.status === 403) return { status: 403, error: 'Access denied' };
+      if (!acl.ok) return { status: 502, error: 'ACL check failed' };
+      const j = await acl.json();
+      if (!j?.allowed) return { status: 403, error: 'Access denied' };
+      access = {
+        relation: 'grant',
+        permissions: { ...j.permissions, locationPrecision: normalizePrecision(j.permissions?.locationPrecision, 'street') },
+      };
+    }
+  } else {
+    if (!targetUserId) targetUserId = PUBLIC_DEFAULT_TARGET_USER_ID;
+    if (!targetUserId) return { status: 401, error: 'auth_required_or_public_target_not_configured' };
+    if (PUBLIC_DEFAULT_TARGET_USER_ID && targetUserId !== PUBLIC_DEFAULT_TARGET_USER_ID) {
+      return { status: 403, error: 'forbidden_public_target' };
+    }
+    access = { relation: 'public', permissions: { locationPrecision: PUBLIC_LOCATION_PRECISION } };
+  }
+
+  if (me && access.relation === 'self') {
+    syncHomeAnchor(myId, me.profile).catch(e => console.warn('[HOME ANCHOR]', e?.message || e));
+  }
+  return { me, myId, targetUserId, access };
+}
+
+// ---------- Server-issued conversation IDs ----------
+// Signing and checking live in modules/conversationIds.js. Anonymous callers present their public-session token
+// in the X-VM-Session header or the sessionToken field.
+function sessionTokenFrom(req) {
+  const h = req.headers['x-vm-session'];
+  if (typeof h === 'string' && h) return h;
+  return typeof req.body?.sessionToken === 'string' ? req.body.sessionToken : '';
+}
+
+// Persona defaults from DB (if frontend didn't pass)
+async function resolvePersona({ targetUserId, bearer, profileName, preferredName, voiceIdRaw }) {
+  let personaFull = profileName || '';
+  let personaShort = preferredName || '';
+  let personaVoice = sanitizeVoiceId(voiceIdRaw) || '';
+  let personaProfile = null;
+
+  const who = await fetchPersonaBundle({
+    authApiBase: AUTH_API,
+    targetUserId,
+    bearer, // optional
+  });
+
+  if (who) {
+    personaFull  = personaFull  || (who.name || '');
+    personaShort = personaShort || (who.name?.split(' ')[0] || '');
+    personaVoice = personaVoice || (who.voiceId || DEFAULT_VOICE_ID);
+    personaProfile = who.profilePublic || null;
+  } else {
+    personaVoice = personaVoice || DEFAULT_VOICE_ID;
+  }
+
+  return {
+    persona: coalesceName(personaFull, personaShort),
+    personaVoice,
+    personaProfile,
+    personaCard: buildPersonaCard(personaProfile),
+  };
+}
+
+// Speech-to-text through the configured adapter.
+// Returns { text, language, segments } or { error, detail }.
+async function transcribeAudio({ buffer, mimetype, filename, signal }) {
+  try {
+    return await sttProvider.transcribe({ buffer, mimetype, filename, signal });
+  } catch (e) {
+    if (e instanceof STTError) return { error: e.message, detail: e.detail };
+    throw e;
+  }
+}
+
+// Context gating (location, calendar, hints) -> chat completion -> history.
+// `callerFix` is the caller's own position when their client sent one (for distance/ETA questions).
+// Pass onToken to stream the completion; it receives each text delta as it arrives.
+// `audio` ({ buffer, mimetype }) is the caller's original recording, kept with any message they leave.
+// Returns { replyText, calendarContext, includeLoc, travel, proximity, messageId } or { error, detail, messages }.
+async function generateReply({
+  transcript, languageName, conversationId, hints, calendarId, tz,
+  bearer, me, myId, targetUserId, access, persona, personaProfile, personaCard,
+  language, channel, audio, callerFix, onToken, signal,
+}) {
+  // Take-a-message: store it in the owner's inbox and let the persona confirm
+  const takeMessage = await handleTakeMessage({
+    ownerId: targetUserId, me, conversationId, channel, transcript, audio,
+  });
+
+  // Urgency escalation for guests, classified alongside the reply
+  const isOwnerTurn = !!myId && String(myId) === String(targetUserId);
+  const escalation = targetUserId && transcript && !isOwnerTurn
+    ? escalateIfUrgent({
+      ownerId: targetUserId, me, conversationId, channel, transcript,
+      message: takeMessage.state === 'saved' ? takeMessage.message : null,
+    }).catch(e => console.warn('[ESCALATION FAILED]', e?.message || e))
+    : Promise.resolve(null);
+
+  // Build location context only if asked
+  const includeLoc = asksForLocation(transcript);
+  const locationPrecision = access?.permissions?.locationPrecision || 'hidden';
+  const ownerTz = personaProfile?.timeZone || tz || 'UTC';
+  const locText = includeLoc ? await latestLocationText(targetUserId, locationPrecision, { timeZone: ownerTz }) : null;
+
+  // On the road / in transit: the persona should say so even when nobody asked where they are
+  const movement = locationPrecision !== 'hidden' ? await currentMovement(targetUserId) : null;
+  const busyMoving = movement && (movement.state === 'driving' || movement.state === 'in_transit');
+
+  // Away from home: said even unasked, since it often explains why the owner can't be reached
+  const travel = locationPrecision !== 'hidden'
+    ? await travelState(targetUserId, { profileTimeZone: personaProfile?.timeZone }).catch(() => null)
+    : null;
+  const travelling = travel && (travel.state === 'out_of_town' || travel.state === 'abroad');
+  const travelContext = travel && (travelling || includeLoc)
+    ? travelText(travel, { profileTimeZone: personaProfile?.timeZone, precision: locationPrecision })
+    : null;
+
+  // "How far are you from me?" needs the caller's position as well as the owner's
+  let proximityContext = null;
+  if (asksForProximity(transcript) && locationPrecision !== 'hidden' && !isOwnerTurn) {
+    const from = await callerPosition({ callerFix, myId, targetUserId });
+    proximityContext = from
+      ? proximityText(await proximityBetween({ ownerId: targetUserId, callerFix: from, precision: locationPrecision }))
+      : `The caller's own location is unknown, so you can't tell how far they are from you; they can share it from their app.`;
+  }
+
+  // ==== Calendar context (Forward window) ==================================
+  let calendarContext = null;
+  if (bearer) {
+    const clientTz  = tz && String(tz);
+    const personaTz = personaProfile?.timeZone && String(personaProfile.timeZone);
+    const timeZone  = clientTz || personaTz || 'UTC';
+
+    const range = pickCalendarRange(transcript);
+    const windowPayload = await fetchCalendarWindow({
+      bearer,
+      calendarId: calendarId || null,
       targetUserId,
-      bearer, // optional
+      myId,
+      timeZone,
+      range,
     });
-    
-    if (who) {
-      personaFull  = personaFull  || (who.name || '');
-      personaShort = personaShort || (who.name?.split(' ')[0] || '');
-      personaVoice = personaVoice || (who.voiceId || DEFAULT_VOICE_ID);
-      personaProfile = who.profilePublic || null;
+    calendarContext = summarizeEventsForLLM(windowPayload, range ? 12 : 8, range?.label);
+
+    // "When are you free?" gets computed open slots rather than an event list to reason over
+    if (asksForAvailability(transcript)) {
+      const freeBusy = await fetchFreeBusy({ bearer, targetUserId, myId, range, timeZone }).catch(() => null);
+      const freeBusyText = summarizeFreeBusyForLLM(freeBusy, range?.label || 'rest of today');
+      if (freeBusyText) calendarContext = [calendarContext, freeBusyText].filter(Boolean).join('\n');
+    }
+  }
+
+  // Chat messages with prior history (+ system rules)
+  const history = await getHistory(conversationId);
+  const firstTurn = history.length === 0;
+  const systemMsg = buildSystemPrompt(persona, languageName, { firstTurn }, calendarContext, personaCard);
+
+  const messages = [
+    { role: 'system', content: systemMsg },
+    ...history,
+    ...(includeLoc ? [{ role: 'system', content: `Context: ${locText}` }] : []),
+    ...(busyMoving && !includeLoc
+      ? [{ role: 'system', content: `Context: ${movementText(movement, ownerTz)}. If the caller wants to talk, meet or needs something done now, say you're ${MOVEMENT_PHRASES[movement.state]} right now and will call back.` }]
+      : []),
+    ...(travelContext ? [{ role: 'system', content: `Context: ${travelContext}` }] : []),
+    ...(proximityContext ? [{ role: 'system', content: `Context: ${proximityContext}` }] : []),
+    ...(calendarContext ? [{ role: 'system', content: `Context: ${calendarContext}` }] : []),
+    ...(hints ? [{ role: 'system', content: `Extra app context: ${hints}` }] : []),
+    ...(takeMessage.state === 'prompt'
+      ? [{ role: 'system', content: `The caller wants to leave you a message. Ask them, in one short sentence, what message they'd like to leave.` }]
+      : []),
+    ...(takeMessage.state === 'prompt_inline'
+      ? [{ role: 'system', content: `The caller wants to leave you a message but hasn't said it. Ask them, in one short sentence, to say it together with the request, like "leave a message: I'll be late".` }]
+      : []),
+    ...(takeMessage.state === 'saved'
+      ? [{ role: 'system', content: `The caller just left you a message and it has been saved for you. Confirm in one or two short sentences that you got it, repeat its gist, and say you'll get back to them.` }]
+      : []),
+    { role: 'user', content: transcript || 'Greet politely.' },
+    { role: 'system', content: `Answer only with information you truly know from context or the user input. If unsure, say "I don't know." Keep it under 60 words unless asked to elaborate.` }
+  ];
+
+  // Chat completion (streamed token-by-token when the caller wants deltas)
+  let completion = '';
+  try {
+    const opts = { messages, temperature: 0.3, maxTokens: MAX_TOKENS, signal };
+    if (onToken) {
+      for await (const delta of llm.stream(opts)) {
+        completion += delta;
+        onToken(delta);
+      }
     } else {
-      personaVoice = personaVoice || DEFAULT_VOICE_ID;
+      completion = (await llm.complete(opts)).text;
     }
-    
-    const persona = coalesceName(personaFull, personaShort);
-    const personaCard = buildPersonaCard(personaProfile);
+  } catch (e) {
+    await escalation;
+    if (e instanceof LLMError) return { error: e.message, detail: e.detail, messages };
+    throw e;
+  }
+  const replyText =
+    completion.trim() ||
+    (transcript ? `OK: ${transcript}` : `Hi, I'm ${persona.short}.`);
 
-    // 1) STT
-    const sttFd = new FormData();
-    const audioBlob = new Blob([req.file.buffer], { type: req.file.mimetype || 'audio/wav' });
-    sttFd.append('file', audioBlob, req.file.originalname || 'audio.wav');
-    sttFd.append('model', STT_MODEL);
-    sttFd.append('response_format', 'verbose_json');
-    const sttResp = await fetch('https://api.groq.com/openai/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${GROQ_KEY}` },
-      body: sttFd,
+  // Save history
+  await appendToHistory(conversationId, [
+    { role: 'user', content: transcript || '' },
+    { role: 'assistant', content: replyText },
+  ]);
+
+  await recordConversationTurn({
+    ownerId: targetUserId,
+    conversationId,
+    me,
+    channel,
+    transcript,
+    replyText,
+    language,
+    context: { calendar: calendarContext, location: locText, travel: travelContext, proximity: proximityContext, hints: hints || null },
+  }).catch(e => console.warn('[CONVLOG WRITE FAILED]', e?.message || e));
+  await escalation;
+
+  const messageId = takeMessage.state === 'saved' ? takeMessage.message.id : null;
+  return { replyText, calendarContext, includeLoc, travel: travelContext ? travel.state : null, proximity: !!proximityContext, messageId };
+}
+
+// TTS through the voice-clone proxy. Returns { audio } or { status, detail }.
+async function synthesizeSpeech({ text, voiceId, bearer }) {
+  const ttsBody = sanitizeVoiceId(voiceId)
+    ? { voiceId: sanitizeVoiceId(voiceId), text }
+    : { text };
+  const ttsResp = await fetch(`${ELEVEN_URL}/speak`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      Accept: 'audio/wav',
+      ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}),
+    },
+    body: JSON.stringify(ttsBody),
+  });
+  if (!ttsResp.ok) return { status: ttsResp.status, detail: await ttsResp.text() };
+  return { audio: Buffer.from(await ttsResp.arrayBuffer()) };
+}
+
+// ---------- Streaming helpers (SSE out, framed by modules/eventStream.js) ----------
+// Cuts streamed reply text into sentences and synthesizes each one as soon as it is complete.
+// TTS requests run in parallel; onAudio still fires in sentence order.
+const SENTENCE_END = /[.!?।…]+["')\]]*\s+/g;
+const MIN_SENTENCE_CHARS = 12;
+function createSentenceSpeaker({ voiceId, bearer, onAudio, onError }) {
+  let pending = '';
+  let seq = 0;
+  let chain = Promise.resolve();
+  let cancelled = false;
+
+  function speak(text) {
+    const sentence = text.trim();
+    if (!sentence || cancelled) return;
+    const n = seq++;
+    const job = synthesizeSpeech({ text: sentence, voiceId, bearer }).catch(e => ({ status: 500, detail: String(e?.message || e) }));
+    chain = chain.then(async () => {
+      const tts = await job;
+      if (cancelled) return;
+      if (tts.audio) onAudio({ seq: n, text: sentence, audio: tts.audio });
+      else onError?.({ seq: n, text: sentence, status: tts.status, detail: tts.detail });
     });
-    if (!sttResp.ok) {
-      const errTxt = await sttResp.text();
-      return res.status(502).type('application/json; charset=utf-8')
-        .send(JSON.stringify({ error: 'STT failed', detail: errTxt }));
+  }
+
+  return {
+    push(delta) {
+      pending += delta;
+      let cut = 0;
+      let m;
+      SENTENCE_END.lastIndex = 0;
+      while ((m = SENTENCE_END.exec(pending))) {
+        if (m.index + m[0].length - cut >= MIN_SENTENCE_CHARS) {
+          speak(pending.slice(cut, m.index + m[0].length));
+          cut = m.index + m[0].length;
+        }
+      }
+      pending = pending.slice(cut);
+    },
+    // Speak whatever is left and resolve once every sentence has been delivered.
+    flush() {
+      speak(pending);
+      pending = '';
+      return chain;
+    },
+    cancel() {
+      cancelled = true;
+      pending = '';
+    },
+  };
+}
+
+// ---------- OWNER: conversation log (only ever the caller's own persona) ----------
+// Resolves the signed-in user via the auth API's /me; sends 401 and returns null otherwise.
+async function requireSelf(req, res) {
+  const bearer = bearerFrom(req);
+  if (!bearer) {
+    res.status(401).json({ error: 'unauthorized' });
+    return null;
+  }
+  const r = await dbGET('/me', bearer);
+  if (!r.ok) {
+    res.status(r.status === 401 ? 401 : 502).json({ error: r.status === 401 ? 'unauthorized' : 'auth lookup failed' });
+    return null;
+  }
+  const me = await r.json();
+  if (!me?._id) {
+    res.status(401).json({ error: 'unauthorized' });
+    return null;
+  }
+  return { me, myId: String(me._id), bearer };
+}
+
+app.get('/owner/conversations', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit || '50'), 10) || 50, 1), 200);
+
+    const index = await storeHashGetAll(convlogIndexKey(self.myId));
+    const summaries = Object.values(index)
+      .filter(Boolean)
+      .sort((a, b) => (b.lastAt || 0) - (a.lastAt || 0));
+
+    // Drop index entries whose turns have already expired
+    const items = [];
+    for (const summary of summaries) {
+      if (items.length >= limit) break;
+      const turns = await storeListRange(convlogTurnsKey(self.myId, summary.id));
+      if (!turns.length) {
+        await storeHashDel(convlogIndexKey(self.myId), summary.id);
+        continue;
+      }
+      items.push(summary);
     }
-    const sttJson = await sttResp.json();
-    const transcript = (sttJson?.text || '').trim();
-    const langCode = (sttJson?.language || '').trim();
+    return res.json({ items });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
 
-    // 1.1) Language selection: only EN/HIN; prefer EN unless Hindi detected
-    const languageName = pickAllowedLanguage(langCode);
+app.get('/owner/conversations/:id', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const id = String(req.params.id || '').trim();
+    const summary = await storeHashGet(convlogIndexKey(self.myId), id);
+    const turns = summary ? await storeListRange(convlogTurnsKey(self.myId, id)) : [];
+    if (!summary || !turns.length) return res.status(404).json({ error: 'not_found' });
+    return res.json({ ...summary, turns });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
 
-    // 1.5) Build location context only if asked
-    const includeLoc = asksForLocation(transcript);
-    const locText = includeLoc ? await latestLocationText(targetUserId) : null;
+app.delete('/owner/conversations/:id', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const id = String(req.params.id || '').trim();
+    const summary = await storeHashGet(convlogIndexKey(self.myId), id);
+    if (!summary) return res.status(404).json({ error: 'not_found' });
+    await storeDel(convlogTurnsKey(self.myId, id));
+    await storeHashDel(convlogIndexKey(self.myId), id);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+app.delete('/owner/conversations', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const index = await storeHashGetAll(convlogIndexKey(self.myId));
+    for (const id of Object.keys(index)) await storeDel(convlogTurnsKey(self.myId, id));
+    await storeDel(convlogIndexKey(self.myId));
+    return res.json({ ok: true, deleted: Object.keys(index).length });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// ---------- OWNER: inbox of messages callers left for the persona ----------
+app.get('/inbox', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const unreadOnly = ['1', 'true'].includes(String(req.query.unread || '').toLowerCase());
+    const items = Object.values(await storeHashGetAll(inboxKey(self.myId)))
+      .filter(m => m && (!unreadOnly || !m.read))
+      .sort((a, b) => (b.at || 0) - (a.at || 0));
+    return res.json({ items, unread: items.filter(m => !m.read).length });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+app.get('/inbox/:id/audio', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const id = String(req.params.id || '').trim();
+    const item = await storeHashGet(inboxKey(self.myId), id);
+    const b64 = item?.audio ? await storeGet(inboxAudioKey(self.myId, id)) : null;
+    if (!b64) return res.status(404).json({ error: 'not_found' });
+    return res.type(item.audio.mimeType || 'audio/wav').send(Buffer.from(b64, 'base64'));
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+app.post('/inbox/:id/read', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const id = String(req.params.id || '').trim();
+    const item = await storeHashGet(inboxKey(self.myId), id);
+    if (!item) return res.status(404).json({ error: 'not_found' });
+    const read = req.body?.read === undefined ? true : !!req.body.read;
+    const updated = { ...item, read, readAt: read ? Date.now() : null };
+    await storeHashSet(inboxKey(self.myId), id, updated, { ttlMs: INBOX_RETENTION_MS });
+    return res.json(updated);
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
 
-    // ==== Calendar context (Forward window) ==================================
-    let calendarContext = null;
-    if (bearer) {
-      const clientTz  = tzFromClient && String(tzFromClient);
-      const personaTz = personaProfile?.timeZone && String(personaProfile.timeZone);
-      const timeZone  = clientTz || personaTz || 'UTC';
+app.delete('/inbox/:id', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const id = String(req.params.id || '').trim();
+    const item = await storeHashGet(inboxKey(self.myId), id);
+    if (!item) return res.status(404).json({ error: 'not_found' });
+    await storeDel(inboxAudioKey(self.myId, id));
+    await storeHashDel(inboxKey(self.myId), id);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
 
-      const windowPayload = await fetchCalendarWindow({
-        bearer,
-        calendarId: calendarIdRaw || 'primary',
+// ---------- OWNER: urgency escalations and their limits ----------
+app.get('/escalations', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit || '50'), 10) || 50, 1), 200);
+    const items = Object.values(await storeHashGetAll(escalationsKey(self.myId)))
+      .filter(Boolean)
+      .sort((a, b) => (b.at || 0) - (a.at || 0))
+      .slice(0, limit);
+    return res.json({ items });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+app.get('/escalations/settings', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    return res.json({ ...(await getEscalationSettings(self.myId)), notifier: notifier.name });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+app.put('/escalations/settings', async (req, res) => {
+  try {
+    const self = await requireSelf(req, res);
+    if (!self) return;
+    const merged = mergeEscalationSettings(await getEscalationSettings(self.myId), req.body || {});
+    if (merged.error) return res.status(400).json({ error: merged.error });
+    await storeSet(escalationSettingsKey(self.myId), merged.settings);
+    return res.json({ ...merged.settings, notifier: notifier.name });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// ---------- CONVERSATIONS: open a server-issued, caller-bound conversation ----------
+app.post('/conversations', async (req, res) => {
+  try {
+    const bearer = bearerFrom(req);
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw: req.body?.targetUserId });
+    if (caller.error) return res.status(caller.status).json({ error: caller.error });
+
+    // Anonymous callers always get a fresh public-session token to present with every turn
+    const sessionToken = caller.myId ? '' : conversationIds.issueSessionToken();
+    const subject = conversationIds.callerSubject({ myId: caller.myId, sessionToken });
+    const conversationId = conversationIds.issue({ subject, targetUserId: caller.targetUserId });
+    return res.json({
+      conversationId,
+      targetUserId: caller.targetUserId,
+      expiresAt: Date.now() + conversationIds.ttlMs,
+      ...(sessionToken ? { sessionToken } : {}),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: 'server', detail: String(e?.message || e) });
+  }
+});
+
+// ---------- VOICE: audio -> STT -> Chat -> TTS (with ACL, persona, & prompt rules) ----------
+app.post('/voice', upload.single('audio'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).type('text/plain; charset=utf-8').send('No file uploaded as "audio"');
+    if (sttProvider.configError) return res.status(500).type('text/plain; charset=utf-8').send(sttProvider.configError);
+    if (llm.configError) return res.status(500).type('text/plain; charset=utf-8').send(llm.configError);
+
+    // Auth context
+    const bearer = bearerFrom(req);
+
+    // Persona and targeting
+    const {
+      profileName,
+      preferredName,
+      voiceId: voiceIdRaw,
+      conversationId: conversationIdRaw,
+      hints,
+      targetUserId: targetUserIdRaw,
+      calendarId: calendarIdRaw, // (optional) allow client to specify a calendar
+      tz: tzFromClient
+    } = req.body || {};
+    const callerFix = callerFixFromRequest(req.body);
+
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw });
+    if (caller.error) return res.status(caller.status).type('text/plain; charset=utf-8').send(caller.error);
+    const { me, myId, targetUserId, access } = caller;
+
+    const convo = conversationIds.check({
+      conversationId: conversationIdRaw, myId, sessionToken: sessionTokenFrom(req), targetUserId,
+    });
+    if (convo.error) return res.status(convo.status).type('text/plain; charset=utf-8').send(convo.error);
+    const { conversationId } = convo;
+
+    const { persona, personaVoice, personaProfile, personaCard } = await resolvePersona({
+      targetUserId, bearer, profileName, preferredName, voiceIdRaw,
+    });
+
+    // Streaming mode (SSE): transcript, reply tokens and per-sentence audio as soon as each is ready
+    const streaming = wantsEventStream(req);
+    const aborter = new AbortController();
+    if (streaming) {
+      openEventStream(res);
+      res.on('close', () => aborter.abort());
+      sendEvent(res, 'meta', {
+        conversationId: conversationId || null,
         targetUserId,
-        myId,
-        timeZone,
+        voiceId: sanitizeVoiceId(personaVoice) || '',
       });
-      calendarContext = summarizeEventsForLLM(windowPayload, 8);
     }
 
-    // =====================================================================
+    // 1) STT
+    const stt = await transcribeAudio({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname,
+      signal: aborter.signal,
+    });
+    if (stt.error) {
+      if (streaming) {
+        sendEvent(res, 'error', { error: 'STT failed', detail: stt.detail });
+        return res.end();
+      }
+      return res.status(502).type('application/json; charset=utf-8')
+        .send(JSON.stringify({ error: 'STT failed', detail: stt.detail }));
+    }
+    const transcript = stt.text;
+    const langCode = stt.language;
 
-    // 2) Chat messages with prior history (+ system rules)
-    const history = getHistory(conversationId);
-    const firstTurn = history.length === 0;
-    const systemMsg = buildSystemPrompt(persona, languageName, { firstTurn }, calendarContext, personaCard);
+    // 1.1) Language selection: only EN/HIN; prefer EN unless Hindi detected
+    const languageName = pickAllowedLanguage(langCode);
+    if (streaming) sendEvent(res, 'transcript', { text: transcript, language: langCode || 'unknown' });
 
-    const messages = [
-      { role: 'system', content: systemMsg },
-      ...history,
-      ...(includeLoc ? [{ role: 'system', content: `Context: ${locText}` }] : []),
-      ...(calendarContext ? [{ role: 'system', content: `Context: ${calendarContext}` }] : []),
-      ...(hints ? [{ role: 'system', content: `Extra app context: ${hints}` }] : []),
-      { role: 'user', content: transcript || 'Greet politely.' },
-      { role: 'system', content: `Answer only with information you truly know from context or the user input. If unsure, say "I don't know." Keep it under 60 words unless asked to elaborate.` }
-    ];
+    const speaker = streaming
+      ? createSentenceSpeaker({
+          voiceId: personaVoice,
+          bearer,
+          onAudio: ({ seq, text, audio }) =>
+            sendEvent(res, 'audio', { seq, text, mimeType: 'audio/wav', data: audio.toString('base64') }),
+          onError: ({ seq, text, status, detail }) =>
+            sendEvent(res, 'error', { error: 'TTS proxy failed', seq, text, status, detail }),
+        })
+      : null;
+    let streamedAny = false;
 
-    // 3) Chat completion
-    const chatResp = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${GROQ_KEY}`,
-        'Content-Type': 'application/json; charset=utf-8',
-        'Accept-Charset': 'utf-8',
-      },
-      body: JSON.stringify({
-        model: CHAT_MODEL,
-        temperature: 0.3,
-        max_tokens: MAX_TOKENS,
-        messages,
-      }),
+    // 2-4) Context, chat completion, history
+    const reply = await generateReply({
+      transcript, languageName, conversationId, hints,
+      calendarId: calendarIdRaw, tz: tzFromClient,
+      bearer, me, myId, targetUserId, access, persona, personaProfile, personaCard,
+      language: langCode, channel: 'voice',
+      audio: { buffer: req.file.buffer, mimetype: req.file.mimetype },
+      callerFix,
+      signal: aborter.signal,
+      onToken: streaming
+        ? (delta) => {
+            streamedAny = true;
+            sendEvent(res, 'token', { text: delta });
+            speaker.push(delta);
+          }
+        : undefined,
     });
-    if (!chatResp.ok) {
-      const errTxt = await chatResp.text();
+    if (reply.error) {
+      if (streaming) {
+        speaker.cancel();
+        sendEvent(res, 'error', { error: reply.error, detail: reply.detail });
+        return res.end();
+      }
       return res.status(502).type('application/json; charset=utf-8')
-        .send(JSON.stringify({ error: 'Chat failed', detail: errTxt, transcript, messages }));
+        .send(JSON.stringify({ error: reply.error, detail: reply.detail, transcript, messages: reply.messages }));
     }
-    const chatJson = await chatResp.json();
-    const replyText =
-      (chatJson?.choices?.[0]?.message?.content || '').trim() ||
-      (transcript ? `OK: ${transcript}` : `Hi, I'm ${persona.short}.`);
+    const { replyText, calendarContext, messageId } = reply;
 
-    // 4) Save history
-    appendToHistory(conversationId, [
-      { role: 'user', content: transcript || '' },
-      { role: 'assistant', content: replyText },
-    ]);
+    if (streaming) {
+      if (!streamedAny) speaker.push(replyText);
+      sendEvent(res, 'reply', { text: replyText, calendar: calendarContext, messageId });
+      await speaker.flush();
+      sendEvent(res, 'done', {});
+      return res.end();
+    }
 
     // 5) TTS
-    const ttsBody = sanitizeVoiceId(personaVoice)
-      ? { voiceId: sanitizeVoiceId(personaVoice), text: replyText }
-      : { text: replyText };
-    const ttsResp = await fetch(`${ELEVEN_URL}/speak`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-        Accept: 'audio/wav',
-        ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}),
-      },
-      body: JSON.stringify(ttsBody),
-    });
-    if (!ttsResp.ok) {
-      const t = await ttsResp.text();
-      return res.status(ttsResp.status).type('application/json; charset=utf-8')
-        .send(JSON.stringify({ error: 'TTS proxy failed', detail: t, replyText, transcript }));
+    const tts = await synthesizeSpeech({ text: replyText, voiceId: personaVoice, bearer });
+    if (!tts.audio) {
+      return res.status(tts.status).type('application/json; charset=utf-8')
+        .send(JSON.stringify({ error: 'TTS proxy failed', detail: tts.detail, replyText, transcript }));
     }
 
-    const audioBuf = Buffer.from(await ttsResp.arrayBuffer());
     res.setHeader('Content-Type', 'audio/wav');
     res.setHeader('X-Reply-Text', encodeURIComponent(replyText));
     res.setHeader('X-Transcript', encodeURIComponent((transcript || '').slice(0, 800)));
     res.setHeader('X-Language', encodeURIComponent(langCode || 'unknown'));
     res.setHeader('X-Voice-Id', encodeURIComponent(sanitizeVoiceId(personaVoice) || ''));
     res.setHeader('X-Conversation-Id', encodeURIComponent(conversationId || ''));
+    if (messageId) res.setHeader('X-Message-Id', encodeURIComponent(messageId));
     res.setHeader('X-Target-UserId', encodeURIComponent(targetUserId));
 
     // Helpful for debugging from client:
     if (calendarContext) res.setHeader('X-Calendar', encodeURIComponent(calendarContext));
 
-    return res.status(200).send(audioBuf);
+    return res.status(200).send(tts.audio);
   } catch (err) {
-    console.error('[VOICE ERROR]', err);
+    if (err?.name !== 'AbortError') console.error('[VOICE ERROR]', err);
+    if (res.headersSent) {
+      sendEvent(res, 'error', { error: 'Server error', detail: String(err?.message || err) });
+      return res.end();
+    }
     return res.status(500).type('application/json; charset=utf-8')
       .send(JSON.stringify({ error: 'Server error', detail: String(err?.message || err) }));
   }
 });
 
+// ---------- CHAT: text -> Chat -> (optional) TTS, same persona pipeline as /voice ----------
+app.post('/chat', async (req, res) => {
+  try {
+    if (llm.configError) return res.status(500).json({ error: llm.configError });
+
+    const bearer = bearerFrom(req);
+    const {
+      message,
+      profileName,
+      preferredName,
+      voiceId: voiceIdRaw,
+      conversationId: conversationIdRaw,
+      hints,
+      targetUserId: targetUserIdRaw,
+      calendarId: calendarIdRaw,
+      tz: tzFromClient,
+      language,
+      tts: wantsTts,
+    } = req.body || {};
+    const callerFix = callerFixFromRequest(req.body);
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'message required' });
+    }
+    const text = message.trim().slice(0, 4000);
+
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw });
+    if (caller.error) return res.status(caller.status).json({ error: caller.error });
+    const { me, myId, targetUserId, access } = caller;
+
+    const convo = conversationIds.check({
+      conversationId: conversationIdRaw, myId, sessionToken: sessionTokenFrom(req), targetUserId,
+    });
+    if (convo.error) return res.status(convo.status).json({ error: convo.error });
+    const { conversationId } = convo;
+
+    const { persona, personaVoice, personaProfile, personaCard } = await resolvePersona({
+      targetUserId, bearer, profileName, preferredName, voiceIdRaw,
+    });
+
+    // No STT here: honour an explicit language, else detect Devanagari script
+    const langCode = (typeof language === 'string' && language.trim()) ||
+      (/[\u0900-\u097F]/.test(text) ? 'hi' : 'en');
+    const languageName = pickAllowedLanguage(langCode);
+
+    const reply = await generateReply({
+      transcript: text, languageName, conversationId, hints,
+      calendarId: calendarIdRaw, tz: tzFromClient,
+      bearer, me, myId, targetUserId, access, persona, personaProfile, personaCard,
+      language: langCode, channel: 'chat', callerFix,
+    });
+    if (reply.error) {
+      return res.status(502).json({ error: reply.error, detail: reply.detail });
+    }
+    const { replyText, calendarContext, includeLoc, travel, proximity, messageId } = reply;
+
+    const voiceId = sanitizeVoiceId(personaVoice) || '';
+    let audio = null;
+    let ttsError = null;
+    if (wantsTts === true || wantsTts === 'true' || wantsTts === '1') {
+      const tts = await synthesizeSpeech({ text: replyText, voiceId, bearer });
+      if (tts.audio) audio = tts.audio.toString('base64');
+      else ttsError = { status: tts.status, detail: tts.detail };
+    }
+
+    return res.json({
+      replyText,
+      language: langCode,
+      voiceId,
+      conversationId: conversationId || null,
+      targetUserId,
+      messageId,
+      context: {
+        calendar: calendarContext,
+        location: includeLoc,
+        travel,
+        proximity,
+        hints: !!hints,
+      },
+      ...(audio ? { audio, audioMimeType: 'audio/wav' } : {}),
+      ...(ttsError ? { ttsError } : {}),
+    });
+  } catch (err) {
+    console.error('[CHAT ERROR]', err);
+    return res.status(500).json({ error: 'Server error', detail: String(err?.message || err) });
+  }
+});
+
+// ---------- REALTIME: full-duplex voice session over WebSocket ----------
+// Serverless deployments can't hold sockets, so this is only attached when we run our own listener.
+//
+// Auth: the bearer goes in the start message, an Authorization header, or (browsers) the subprotocol list
+// ['vm-realtime', 'bearer.<token>']; never in the URL, where it would end up in access logs.
+// Client -> server:
+//   text   { type: 'start', token?, sessionToken?, targetUserId?, conversationId?, tz?, hints?, sampleRate?, profileName?, preferredName?, voiceId? }
+//   binary PCM16LE mono microphone frames at sampleRate (default 16000); frames sent before 'ready' are queued
+//   text   { type: 'hints', hints } | { type: 'playback_done' } | { type: 'stop' }
+// Server -> client:
+//   { type: 'ready' }, { type: 'speech_started' }, { type: 'speech_stopped' }, { type: 'transcript' },
+//   { type: 'reply_delta' }, { type: 'reply' }, { type: 'audio', seq, text, mimeType } followed by one binary WAV frame,
+//   { type: 'reply_done' }, { type: 'interrupted' } (barge-in: stop local playback), { type: 'error' }
+const REALTIME_PATH = '/realtime';
+const REALTIME_IDLE_MS = Number(process.env.REALTIME_IDLE_MS || 2 * 60 * 1000);
+const REALTIME_VAD_THRESHOLD = Number(process.env.REALTIME_VAD_THRESHOLD || 0.02);
+const REALTIME_SILENCE_MS = Number(process.env.REALTIME_SILENCE_MS || 700);
+const REALTIME_PROTOCOL = 'vm-realtime';
+const REALTIME_START_QUEUE_MAX = 250; // ~5 s of 20 ms frames while 'start' resolves the caller
+
+function realtimeBearerFrom(req) {
+  const offered = String(req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+  const fromProtocol = offered.find(p => p.startsWith('bearer.'))?.slice('bearer.'.length);
+  return req.headers.authorization?.replace('Bearer ', '') || fromProtocol || '';
+}
+
+function handleRealtimeSession(ws, req) {
+  const headerBearer = realtimeBearerFrom(req);
+
+  let session = null;  // resolved caller/persona, set by 'start'
+  let queued = null;   // frames received while 'start' is still resolving
+  let detector = null;
+  let active = null;   // { aborter, speaker } for the reply currently being generated
+  let playing = false; // reply audio sent and not yet confirmed played by the client
+  let idleTimer = null;
+
+  const send = (msg) => { if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg)); };
+  const fail = (error, detail) => send({ type: 'error', error, ...(detail ? { detail } : {}) });
+
+  function touch() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => ws.close(1000, 'idle'), REALTIME_IDLE_MS);
+  }
+
+  function bargeIn() {
+    if (active) {
+      active.aborter.abort();
+      active.speaker.cancel();
+      active = null;
+    }
+    playing = false;
+    send({ type: 'interrupted' });
+  }
+
+  async function start(msg) {
+    const bearer = (typeof msg.token === 'string' && msg.token) || headerBearer;
+    const caller = await resolveCallerAndTarget({ bearer, targetUserIdRaw: msg.targetUserId });
+    if (caller.error) {
+      fail(caller.error);
+      return ws.close(caller.status === 401 ? 4401 : 4403, caller.error);
+    }
+    const convo = conversationIds.check({
+      conversationId: msg.conversationId,
+      myId: caller.myId,
+      sessionToken: typeof msg.sessionToken === 'string' ? msg.sessionToken : '',
+      targetUserId: caller.targetUserId,
+    });
+    if (convo.error) {
+      fail(convo.error);
+      return ws.close(convo.status === 401 ? 4401 : 4403, convo.error);
+    }
+    const personaInfo = await resolvePersona({
+      targetUserId: caller.targetUserId,
+      bearer,
+      profileName: msg.profileName,
+      preferredName: msg.preferredName,
+      voiceIdRaw: msg.voiceId,
+    });
+    const sampleRate = Math.min(Math.max(Number(msg.sampleRate) || 16000, 8000), 48000);
+
+    session = {
+      bearer,
+      me: caller.me,
+      myId: caller.myId,
+      targetUserId: caller.targetUserId,
+      access: caller.access,
+      conversationId: convo.conversationId,
+      tz: msg.tz,
+      hints: msg.hints,
+      callerFix: callerFixFromRequest(msg),
+      sampleRate,
+      ...personaInfo,
+    };
+    detector = new TurnDetector({
+      sampleRate,
+      speechThreshold: REALTIME_VAD_THRESHOLD,
+      silenceMs: REALTIME_SILENCE_MS,
+    });
+    send({
+      type: 'ready',
+      conversationId: session.conversationId || null,
+      targetUserId: session.targetUserId,
+      voiceId: sanitizeVoiceId(session.personaVoice) || '',
+    });
+  }
+
+  async function runTurn(pcm) {
+    const aborter = new AbortController();
+    const speaker = createSentenceSpeaker({
+      voiceId: session.personaVoice,
+      bearer: session.bearer,
+      onAudio: ({ seq, text, audio }) => {
+        if (ws.readyState !== ws.OPEN) return;
+        send({ type: 'audio', seq, text, mimeType: 'audio/wav' });
+        ws.send(audio);
+        playing = true;
+      },
+      onError: ({ seq, text, status, detail }) => fail('TTS proxy failed', { seq, text, status, detail }),
+    });
+    const turn = { aborter, speaker };
+    active = turn;
+
+    try {
+      const wav = pcm16ToWav(pcm, session.sampleRate);
+      const stt = await transcribeAudio({
+        buffer: wav,
+        mimetype: 'audio/wav',
+        filename: 'turn.wav',
+        signal: aborter.signal,
+      });
+      if (active !== turn) return;
+      if (stt.error) return fail('STT failed', stt.detail);
+      if (!stt.text) return;
+      send({ type: 'transcript', text: stt.text, language: stt.language || 'unknown' });
+
+      let streamedAny = false;
+      const reply = await generateReply({
+        transcript: stt.text,
+        languageName: pickAllowedLanguage(stt.language),
+        conversationId: session.conversationId,
+        hints: session.hints,
+        tz: session.tz,
+        bearer: session.bearer,
+        me: session.me,
+        myId: session.myId,
+        targetUserId: session.targetUserId,
+        access: session.access,
+        persona: session.persona,
+        personaProfile: session.personaProfile,
+        personaCard: session.personaCard,
+        language: stt.language,
+        channel: 'realtime',
+        audio: { buffer: wav, mimetype: 'audio/wav' },
+        callerFix: session.callerFix,
+        signal: aborter.signal,
+        onToken: (delta) => {
+          streamedAny = true;
+          send({ type: 'reply_delta', text: delta });
+          speaker.push(delta);
+        },
+      });
+      if (active !== turn) return;
+      if (reply.error) return fail(reply.error, reply.detail);
+
+      if (!streamedAny) speaker.push(reply.replyText);
+      send({ type: 'reply', text: reply.replyText, messageId: reply.messageId });
+      await speaker.flush();
+      if (active === turn) send({ type: 'reply_done' });
+    } catch (e) {
+      if (e?.name !== 'AbortError') {
+        console.error('[REALTIME TURN ERROR]', e);
+        fail('Server error', String(e?.message || e));
+      }
+    } finally {
+      if (active === turn) active = null;
+    }
+  }
+
+  async function handleFrame(data, isBinary) {
+    if (!isBinary) {
+      let msg = null;
+      try { msg = JSON.parse(String(data)); } catch {}
+      if (!msg?.type) return fail('bad_message');
+      if (msg.type === 'start') {
+        if (session) return fail('already_started');
+        queued = [];
+        try {
+          await start(msg);
+        } finally {
+          const backlog = queued;
+          queued = null;
+          for (const frame of session ? backlog : []) handleFrame(...frame).catch(onFrameError);
+        }
+        return;
+      }
+      if (!session) return fail('start_required');
+      if (msg.type === 'hints') session.hints = msg.hints;
+      else if (msg.type === 'playback_done') playing = false;
+      else if (msg.type === 'stop') ws.close(1000, 'stop');
+      else fail('unknown_type');
+      return;
+    }
+
+    if (!session) return fail('start_required');
+    for (const ev of detector.push(Buffer.from(data), { agentSpeaking: !!(active || playing) })) {
+      if (ev.type === 'speech_start') {
+        send({ type: 'speech_started' });
+        if (ev.bargeIn) bargeIn();
+      } else if (ev.type === 'turn') {
+        send({ type: 'speech_stopped' });
+        runTurn(ev.audio);
+      }
+    }
+  }
+  function onFrameError(e) {
+    console.error('[REALTIME ERROR]', e);
+    fail('Server error', String(e?.message || e));
+  }
+
+  ws.on('message', (data, isBinary) => {
+    touch();
+    if (queued) {
+      if (queued.length >= REALTIME_START_QUEUE_MAX) return fail('starting');
+      queued.push([data, isBinary]);
+      return;
+    }
+    handleFrame(data, isBinary).catch(onFrameError);
+  });
+
+  ws.on('close', () => {
+    clearTimeout(idleTimer);
+    if (active) {
+      active.aborter.abort();
+      active.speaker.cancel();
+      active = null;
+    }
+  });
+  touch();
+}
+
+function attachRealtime(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: 1024 * 1024,
+    // Answer with our own protocol name; the bearer.<token> entry is never echoed back
+    handleProtocols: (protocols) => (protocols.has(REALTIME_PROTOCOL) ? REALTIME_PROTOCOL : false),
+  });
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (pathname !== REALTIME_PATH) return socket.destroy();
+    if (searchParams.has('token')) {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\ntoken must not be sent in the URL\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => handleRealtimeSession(ws, req));
+  });
+  return wss;
+}
+
 // ---------- Local dev vs Vercel export ----------
 if (!isVercel) {
   const PORT = process.env.PORT || 3000;
-  app.listen(PORT, () => console.log(`✅ Voice API listening on http://localhost:${PORT}`));
+  const server = app.listen(PORT, () => console.log(`✅ Voice API listening on http://localhost:${PORT}`));
+  attachRealtime(server);
 }
 export default app;
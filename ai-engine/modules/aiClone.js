@@ -1,9 +1,10 @@
-import Groq from "groq-sdk";
+import { createLLMProvider } from "./llmProvider.js";
 
 export class AICloneService {
-  constructor(apiKey) {
-    this.groq = new Groq({ apiKey });
-    this.model = "llama-3.1-8b-instant"; // Fast and capable model
+  // `provider` overrides the configured LLM (see createLLMProvider), e.g. a FakeProvider in tests
+  constructor(apiKey, { provider } = {}) {
+    this.llm = provider || createLLMProvider({ ...process.env, ...(apiKey ? { GROQ_API_KEY: apiKey } : {}) });
+    this.model = this.llm.model;
     this.conversationHistory = new Map();
     this.maxHistoryLength = 20;
   }
@@ -21,13 +22,12 @@ export class AICloneService {
         conversationHistory: this.getConversationHistory(userId)
       });
 
-      const result = await this.groq.chat.completions.create({
+      const result = await this.llm.complete({
         messages: [{ role: "user", content: prompt }],
-        model: this.model,
         temperature: 0.5,
-        max_tokens: 1000
+        maxTokens: 1000
       });
-      const text = result.choices[0].message.content;
+      const text = result.text;
 
       this.addToConversationHistory(userId, message, text);
 
@@ -114,6 +114,7 @@ export class AICloneService {
     return prompt;
   }
 
+  // Returns null when the model call fails or its answer isn't JSON, so callers don't act on a made-up urgency.
   async analyzeUserMessage(message) {
     try {
       const analysisPrompt = `Analyze the following user message and extract:
@@ -127,34 +128,22 @@ Message: "${message}"
 
 Provide a JSON response with these fields: intent, tone, topics, urgency, contextClues`;
 
-      const result = await this.groq.chat.completions.create({
+      const result = await this.llm.complete({
         messages: [{ role: "user", content: analysisPrompt }],
-        model: this.model,
         temperature: 0.3,
-        max_tokens: 500
+        maxTokens: 500
       });
-      const text = result.choices[0].message.content;
+      const text = result.text;
 
       try {
-        return JSON.parse(text);
+        // Models often wrap the JSON in prose or a code fence
+        return JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || text);
       } catch (parseError) {
-        return {
-          intent: 'unknown',
-          tone: 'neutral',
-          topics: [],
-          urgency: 'medium',
-          contextClues: text
-        };
+        return null;
       }
     } catch (error) {
       console.error('Message analysis error:', error);
-      return {
-        intent: 'unknown',
-        tone: 'neutral',
-        topics: [],
-        urgency: 'medium',
-        contextClues: ''
-      };
+      return null;
     }
   }
 
@@ -173,13 +162,12 @@ Analyze:
 
 Provide suggestions as a JSON object with fields: adjustments, newTraits, styleImprovements, communicationMatches`;
 
-      const result = await this.groq.chat.completions.create({
+      const result = await this.llm.complete({
         messages: [{ role: "user", content: prompt }],
-        model: this.model,
         temperature: 0.5,
-        max_tokens: 800
+        maxTokens: 800
       });
-      const text = result.choices[0].message.content;
+      const text = result.text;
 
       try {
         return JSON.parse(text);
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+// Server-issued conversation IDs: cv1.<nonce>.<issuedAt base36>.<hmac>. The HMAC covers the caller's identity
+// and the target persona, so an ID only verifies for the caller/target pair it was opened for.
+// Anonymous callers are bound to a public-session token that only the server issues: vs1.<nonce>.<hmac>, so a
+// token the client made up never verifies. Conversation IDs the client invents are refused (conversation_not_issued).
+
+function sameSignature(expected, given) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(given));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export class ConversationIds {
+  constructor({ secret, ttlMs = 24 * 60 * 60 * 1000, now = Date.now } = {}) {
+    if (!secret) throw new Error('ConversationIds needs a secret');
+    this.secret = secret;
+    this.ttlMs = ttlMs;
+    this.now = now;
+  }
+
+  hmac(text) {
+    return crypto.createHmac('sha256', this.secret).update(text).digest('base64url');
+  }
+
+  issueSessionToken() {
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    return `vs1.${nonce}.${this.hmac(`session.${nonce}`)}`;
+  }
+
+  validSessionToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3 || parts[0] !== 'vs1') return false;
+    return sameSignature(this.hmac(`session.${parts[1]}`), parts[2]);
+  }
+
+  // Who a conversation is bound to: u:<userId> when signed in, else a:<hash of a valid session token>, else null
+  callerSubject({ myId, sessionToken }) {
+    if (myId) return `u:${myId}`;
+    if (this.validSessionToken(sessionToken)) return `a:${crypto.createHash('sha256').update(sessionToken).digest('base64url')}`;
+    return null;
+  }
+
+  issue({ subject, targetUserId }) {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const issuedAt = this.now().toString(36);
+    return `cv1.${nonce}.${issuedAt}.${this.hmac(`${nonce}.${issuedAt}.${subject}.${targetUserId}`)}`;
+  }
+
+  // -> { conversationId } ('' when the client didn't send one) or { status, error }:
+  //   403 conversation_not_issued | 401 session_token_required | 403 conversation_forbidden | 403 conversation_expired
+  check({ conversationId, myId, sessionToken, targetUserId }) {
+    const cid = typeof conversationId === 'string' ? conversationId.trim() : '';
+    if (!cid) return { conversationId: '' };
+
+    const parts = cid.split('.');
+    if (parts.length !== 4 || parts[0] !== 'cv1') return { status: 403, error: 'conversation_not_issued' };
+    const [, nonce, issuedAt, sig] = parts;
+
+    const subject = this.callerSubject({ myId, sessionToken });
+    if (!subject) return { status: 401, error: 'session_token_required' };
+
+    if (!sameSignature(this.hmac(`${nonce}.${issuedAt}.${subject}.${targetUserId}`), sig)) {
+      return { status: 403, error: 'conversation_forbidden' };
+    }
+    if (this.now() - parseInt(issuedAt, 36) > this.ttlMs) {
+      return { status: 403, error: 'conversation_expired' };
+    }
+    return { conversationId: cid };
+  }
+}
+
+// CONVERSATION_SECRET signs IDs and session tokens; without it a random per-process secret is used, so IDs only
+// survive until this instance restarts (configError says so). CONVERSATION_ID_TTL_MS: how long an ID stays valid.
+export function createConversationIds(env = process.env) {
+  const ids = new ConversationIds({
+    secret: env.CONVERSATION_SECRET || crypto.randomBytes(32).toString('hex'),
+    ttlMs: Number(env.CONVERSATION_ID_TTL_MS || 24 * 60 * 60 * 1000),
+  });
+  ids.configError = env.CONVERSATION_SECRET ? null : 'Missing CONVERSATION_SECRET (conversation IDs will not survive restarts or span instances)';
+  return ids;
+}
@@ -0,0 +1,31 @@
+import { validFix } from './locationFixes.js';
+
+// Picks the owner's current location from each device's latest fix by comparing uncertainty: the reported
+// accuracy plus how far they could have moved since (age x drift speed). A primary device's uncertainty counts
+// `primaryWeight`; fixes older than `staleMs` only win when no device has a fresher one.
+
+export const DEFAULT_FUSION = Object.freeze({
+  staleMs: 15 * 60 * 1000,
+  driftMps: 1.5,
+  primaryWeight: 0.5,
+  defaultAccuracyM: 100, // for fixes that report no accuracy
+});
+
+// -> { fix, reason: only_device | lowest_uncertainty | newest_stale, candidates } | null
+export function fuseDeviceFixes(fixes, { primaryDeviceId = null, now = Date.now(), ...options } = {}) {
+  const { staleMs, driftMps, primaryWeight, defaultAccuracyM } = { ...DEFAULT_FUSION, ...options };
+  const scored = fixes.filter(validFix).map(stored => {
+    const fix = { ...stored, primary: !!primaryDeviceId && stored.deviceId === primaryDeviceId };
+    const ageMs = Math.max(0, now - fix.timestamp);
+    const accuracy = Number.isFinite(fix.accuracy) ? fix.accuracy : defaultAccuracyM;
+    const uncertaintyM = (accuracy + (ageMs / 1000) * driftMps) * (fix.primary ? primaryWeight : 1);
+    return { fix, ageMs, uncertaintyM, stale: ageMs > staleMs };
+  });
+  if (!scored.length) return null;
+  if (scored.length === 1) return { fix: scored[0].fix, reason: 'only_device', candidates: 1 };
+  const fresh = scored.filter(c => !c.stale);
+  const best = fresh.length
+    ? fresh.reduce((a, b) => (b.uncertaintyM < a.uncertaintyM ? b : a))
+    : scored.reduce((a, b) => (b.ageMs < a.ageMs ? b : a));
+  return { fix: best.fix, reason: fresh.length ? 'lowest_uncertainty' : 'newest_stale', candidates: scored.length };
+}
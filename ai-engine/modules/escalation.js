@@ -0,0 +1,86 @@
+import { isPrivateAddress } from './notifier.js';
+
+// Urgency escalation rules: urgency ranking, the owner's settings, and the per-caller cooldown and per-owner
+// hourly budget that decide whether a recorded escalation is also sent.
+// Keys: escalation:rate:<owner>:<hour> (counter), escalation:cooldown:<owner>:<caller>.
+
+export const URGENCY_RANK = { low: 0, medium: 1, high: 2 };
+export const ESCALATION_THRESHOLDS = ['medium', 'high'];
+
+export function escalationRateKey(ownerId, hour) { return `escalation:rate:${ownerId}:${hour}`; }
+export function escalationCooldownKey(ownerId, callerKey) { return `escalation:cooldown:${ownerId}:${callerKey}`; }
+
+export function normalizeUrgency(u) {
+  const s = String(u || '').toLowerCase().trim();
+  return s in URGENCY_RANK ? s : null;
+}
+export function maxUrgency(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return URGENCY_RANK[a] >= URGENCY_RANK[b] ? a : b;
+}
+
+function isLiteralPrivateHost(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+  } catch {
+    return true;
+  }
+}
+
+// Applies a partial update from the owner. Returns { settings } or { error }.
+export function mergeEscalationSettings(current, body = {}) {
+  const next = { ...current };
+  if (body.enabled !== undefined) next.enabled = !!body.enabled;
+  if (body.threshold !== undefined) {
+    if (!ESCALATION_THRESHOLDS.includes(body.threshold)) return { error: 'invalid_threshold' };
+    next.threshold = body.threshold;
+  }
+  if (body.maxPerHour !== undefined) {
+    const n = Number(body.maxPerHour);
+    if (!Number.isInteger(n) || n < 0 || n > 60) return { error: 'invalid_maxPerHour' };
+    next.maxPerHour = n;
+  }
+  if (body.cooldownMinutes !== undefined) {
+    const n = Number(body.cooldownMinutes);
+    if (!Number.isFinite(n) || n < 0 || n > 24 * 60) return { error: 'invalid_cooldownMinutes' };
+    next.cooldownMinutes = n;
+  }
+  if (body.webhookUrl !== undefined) {
+    const url = body.webhookUrl ? String(body.webhookUrl).trim() : null;
+    if (url && (!/^https:\/\/[^\s]+$/i.test(url) || url.length > 500)) return { error: 'invalid_webhookUrl' };
+    if (url && isLiteralPrivateHost(url)) return { error: 'webhookUrl_private_address' };
+    next.webhookUrl = url;
+  }
+  if (body.pushToken !== undefined) {
+    const token = body.pushToken ? String(body.pushToken).trim() : null;
+    if (token && (!/^Expo(nent)?PushToken\[[^\]]+\]$/.test(token) || token.length > 200)) return { error: 'invalid_pushToken' };
+    next.pushToken = token;
+  }
+  return { settings: next };
+}
+
+// Sends `escalation` through `notifier` unless `callerKey` is cooling down or the owner's hourly budget
+// (settings.maxPerHour) is spent, and fills in notified / suppressed / delivery.
+// `store` is { get(key), set(key, value, { ttlMs }), incr(key, { ttlMs }) }.
+export async function dispatchEscalation(escalation, settings, { store, notifier, callerKey }) {
+  const cooldownKey = escalationCooldownKey(escalation.ownerId, callerKey);
+  const hour = Math.floor(escalation.at / (60 * 60 * 1000));
+  if (await store.get(cooldownKey)) {
+    escalation.suppressed = 'cooldown';
+  } else if ((await store.incr(escalationRateKey(escalation.ownerId, hour), { ttlMs: 60 * 60 * 1000 })) > settings.maxPerHour) {
+    escalation.suppressed = 'rate_limited';
+  } else {
+    if (settings.cooldownMinutes > 0) {
+      await store.set(cooldownKey, escalation.id, { ttlMs: settings.cooldownMinutes * 60 * 1000 });
+    }
+    try {
+      escalation.delivery = await notifier.notify(escalation, settings);
+    } catch (e) {
+      escalation.delivery = { delivered: false, channel: notifier.name, detail: String(e?.message || e) };
+    }
+    escalation.notified = !!escalation.delivery?.delivered;
+  }
+  return escalation;
+}
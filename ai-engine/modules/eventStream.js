@@ -0,0 +1,19 @@
+// Server-sent events for the streaming /voice and /chat responses (?stream=1 or Accept: text/event-stream).
+
+export function wantsEventStream(req) {
+  const flag = String(req.query?.stream ?? req.body?.stream ?? '').toLowerCase();
+  if (['1', 'true', 'sse'].includes(flag)) return true;
+  return String(req.headers.accept || '').includes('text/event-stream');
+}
+export function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+}
+export function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
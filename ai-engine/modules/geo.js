@@ -0,0 +1,82 @@
+// Small geometry helpers for location tracks. Points are { latitude, longitude, timestamp (epoch ms) }.
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRad = d => (d * Math.PI) / 180;
+
+export function haversineMeters(a, b) {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Initial great-circle bearing from a to b, in degrees clockwise from north (0..360).
+export function bearingDegrees(a, b) {
+  const dLon = toRad(b.longitude - a.longitude);
+  const y = Math.sin(dLon) * Math.cos(toRad(b.latitude));
+  const x = Math.cos(toRad(a.latitude)) * Math.sin(toRad(b.latitude)) -
+    Math.sin(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+const COMPASS_POINTS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+export function compassPoint(degrees) {
+  return COMPASS_POINTS[Math.round(degrees / 45) % 8];
+}
+
+// Distance from p to the segment a-b (a at the origin), on a local equirectangular projection (fine at track scale).
+function segmentDistanceMeters(p, a, b) {
+  const k = Math.cos(toRad(a.latitude));
+  const bx = toRad(b.longitude - a.longitude) * k * EARTH_RADIUS_M;
+  const by = toRad(b.latitude - a.latitude) * EARTH_RADIUS_M;
+  const px = toRad(p.longitude - a.longitude) * k * EARTH_RADIUS_M;
+  const py = toRad(p.latitude - a.latitude) * EARTH_RADIUS_M;
+  const len2 = bx * bx + by * by;
+  const t = len2 ? Math.max(0, Math.min(1, (px * bx + py * by) / len2)) : 0;
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+// Douglas-Peucker: drops points that are within `toleranceM` of the simplified line.
+export function simplifyTrack(points, toleranceM) {
+  if (points.length <= 2 || !(toleranceM > 0)) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistanceMeters(points[i], points[first], points[last]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (index >= 0 && maxDist > toleranceM) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Keeps at most one point per `intervalMs`; the last point is always kept.
+export function downsampleTrack(points, intervalMs) {
+  if (points.length <= 2 || !(intervalMs > 0)) return points.slice();
+  const out = [points[0]];
+  for (let i = 1; i < points.length - 1; i++) {
+    if (points[i].timestamp - out[out.length - 1].timestamp >= intervalMs) out.push(points[i]);
+  }
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+// Evenly picks `max` points, keeping the first and the last.
+export function capTrack(points, max) {
+  if (points.length <= max) return points.slice();
+  if (max <= 1) return points.slice(-1);
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
@@ -0,0 +1,180 @@
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { haversineMeters } from './geo.js';
+
+// Geocoders behind one interface, picked by config (GEOCODER):
+//   reverse(lat, lon) -> { display_name, address } | null      (address uses Nominatim's field names)
+//   search(query)     -> { latitude, longitude, display_name } | null
+// Transport failures throw GeocoderError; "nothing found" is null. `configError` is set when the backend
+// can't work with the current config.
+
+export class GeocoderError extends Error {
+  constructor(message, { detail = '' } = {}) {
+    super(message);
+    this.name = 'GeocoderError';
+    this.detail = detail;
+  }
+}
+
+// Nominatim's API, either the public instance (throttled to its 1 request/second policy)
+// or a self-hosted one at `baseUrl` (no throttle).
+export class NominatimGeocoder {
+  constructor({
+    baseUrl = 'https://nominatim.openstreetmap.org',
+    name = 'nominatim',
+    userAgent = 'VirtualMe/1.0',
+    email = '',
+    minIntervalMs = 1000,
+    maxQueueMs = 3000,
+    timeoutMs = 5000,
+  } = {}) {
+    this.name = name;
+    this.baseUrl = String(baseUrl).replace(/\/$/, '');
+    this.userAgent = userAgent;
+    this.email = email;
+    this.minIntervalMs = minIntervalMs;
+    this.maxQueueMs = maxQueueMs;
+    this.timeoutMs = timeoutMs;
+    this.nextAt = 0;
+    this.configError = this.baseUrl ? null : 'Missing GEOCODER_URL';
+  }
+
+  // Spaces requests out; gives up instead of queueing callers for longer than maxQueueMs.
+  async throttle() {
+    if (!this.minIntervalMs) return;
+    const now = Date.now();
+    const wait = this.nextAt - now;
+    if (wait > this.maxQueueMs) throw new GeocoderError('Geocoder busy', { detail: `queue ${wait}ms` });
+    this.nextAt = Math.max(now, this.nextAt) + this.minIntervalMs;
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+  }
+
+  async get(path, params) {
+    if (this.configError) throw new GeocoderError(this.configError);
+    await this.throttle();
+    const qs = new URLSearchParams({ format: 'jsonv2', ...params, ...(this.email ? { email: this.email } : {}) });
+    let resp;
+    try {
+      resp = await fetch(`${this.baseUrl}${path}?${qs}`, {
+        headers: { 'User-Agent': this.userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (e) {
+      throw new GeocoderError('Geocoder unreachable', { detail: String(e?.message || e) });
+    }
+    if (!resp.ok) throw new GeocoderError('Geocoder failed', { detail: `HTTP ${resp.status}` });
+    return resp.json();
+  }
+
+  async reverse(lat, lon) {
+    const j = await this.get('/reverse', { lat: String(lat), lon: String(lon) });
+    if (!j || j.error) return null;
+    return { display_name: j.display_name || null, address: j.address || null };
+  }
+
+  async search(query) {
+    const [hit] = (await this.get('/search', { q: String(query), limit: '1' })) || [];
+    if (!hit) return null;
+    return { latitude: Number(hit.lat), longitude: Number(hit.lon), display_name: hit.display_name || null };
+  }
+}
+
+// Offline lookups from a local JSON file, for tests and air-gapped deployments:
+//   [{ name, latitude, longitude, radiusM?, aliases?: [..], address?: { road, suburb, city, ... } }]
+// reverse() returns the nearest entry within its radius (default maxDistanceM); search() matches name/aliases.
+export class OfflineGeocoder {
+  constructor({ file = '', places, maxDistanceM = 2000 } = {}) {
+    this.name = 'offline';
+    this.maxDistanceM = maxDistanceM;
+    this.configError = null;
+    try {
+      this.places = places || (file ? JSON.parse(readFileSync(file, 'utf8')) : []);
+    } catch (e) {
+      this.places = [];
+      this.configError = `GEOCODER_PLACES_FILE unreadable: ${e?.message || e}`;
+    }
+    if (!Array.isArray(this.places)) this.places = this.places?.places || [];
+    if (!this.configError && !this.places.length) this.configError = 'GEOCODER_PLACES_FILE is missing or empty';
+  }
+
+  displayName(p) {
+    const parts = [p.name, ...Object.values(p.address || {})].filter(Boolean);
+    return [...new Set(parts.map(String))].join(', ');
+  }
+
+  async reverse(lat, lon) {
+    let best = null;
+    for (const p of this.places) {
+      const d = haversineMeters({ latitude: lat, longitude: lon }, p);
+      if (d <= (p.radiusM || this.maxDistanceM) && (!best || d < best.d)) best = { p, d };
+    }
+    if (!best) return null;
+    return { display_name: this.displayName(best.p), address: best.p.address || { name: best.p.name } };
+  }
+
+  async search(query) {
+    const q = String(query || '').toLowerCase().trim();
+    if (!q) return null;
+    const hit = this.places.find(p =>
+      [p.name, ...(p.aliases || [])].some(n => n && (String(n).toLowerCase() === q || q.includes(String(n).toLowerCase()))));
+    if (!hit) return null;
+    return { latitude: hit.latitude, longitude: hit.longitude, display_name: this.displayName(hit) };
+  }
+}
+
+// Caches results in a key-value store ({ get(key), set(key, value, { ttlMs }) }). Reverse lookups are
+// keyed by coordinates rounded to `decimals` (and queried at that rounding, so a key always means one answer).
+// Misses are cached for a shorter time; failures are not cached.
+export class CachedGeocoder {
+  constructor(inner, cache, { ttlMs = 7 * 24 * 60 * 60 * 1000, missTtlMs = 60 * 60 * 1000, decimals = 4 } = {}) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.cache = cache;
+    this.ttlMs = ttlMs;
+    this.missTtlMs = missTtlMs;
+    this.decimals = decimals;
+    this.configError = inner.configError;
+  }
+
+  async cached(key, lookup) {
+    const hit = await this.cache.get(key).catch(() => null);
+    if (hit) return hit.miss ? null : hit.value;
+    const value = await lookup();
+    await this.cache
+      .set(key, value ? { value } : { miss: true }, { ttlMs: value ? this.ttlMs : this.missTtlMs })
+      .catch(() => {});
+    return value;
+  }
+
+  async reverse(lat, lon) {
+    const rLat = Number(lat).toFixed(this.decimals);
+    const rLon = Number(lon).toFixed(this.decimals);
+    return this.cached(`geo:rev:${this.name}:${rLat},${rLon}`, () => this.inner.reverse(Number(rLat), Number(rLon)));
+  }
+
+  async search(query) {
+    const q = String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!q) return null;
+    const digest = createHash('sha256').update(q).digest('base64url').slice(0, 24);
+    return this.cached(`geo:fwd:${this.name}:${digest}`, () => this.inner.search(q));
+  }
+}
+
+// GEOCODER: nominatim (default, public instance) | selfhosted (GEOCODER_URL) | offline (GEOCODER_PLACES_FILE)
+// Wrapped in CachedGeocoder when a cache is given (GEOCODER_CACHE_TTL_HOURS, GEOCODER_CACHE_DECIMALS).
+export function createGeocoder(env = process.env, { cache } = {}) {
+  const kind = String(env.GEOCODER || 'nominatim').toLowerCase();
+  let geocoder;
+  if (kind === 'offline') {
+    geocoder = new OfflineGeocoder({ file: env.GEOCODER_PLACES_FILE || '' });
+  } else if (kind === 'selfhosted') {
+    geocoder = new NominatimGeocoder({ baseUrl: env.GEOCODER_URL || '', name: 'selfhosted', minIntervalMs: 0 });
+  } else {
+    geocoder = new NominatimGeocoder({ email: env.GEOCODER_EMAIL || '' });
+  }
+  if (!cache) return geocoder;
+  return new CachedGeocoder(geocoder, cache, {
+    ttlMs: Number(env.GEOCODER_CACHE_TTL_HOURS || 24 * 7) * 60 * 60 * 1000,
+    decimals: Number(env.GEOCODER_CACHE_DECIMALS || 4),
+  });
+}
@@ -0,0 +1,90 @@
+// What the caller is asking for, from the transcript (English and romanised Hindi). Each gate decides whether a
+// context block (location, calendar, free/busy, proximity) is added to the prompt or a message is taken.
+
+// --- Location gating: include location context only when asked ---
+const LOCATION_QUERIES = [
+  'where am i', 'where are you', 'where', 'location', 'address', 'near', 'nearby', 'distance',
+  'kahan', 'kahaan', 'kidhar', 'kaan', 'address kya', 'location kya'
+];
+export function asksForLocation(text) {
+  if (!text) return false;
+  const t = text.toLowerCase();
+  return LOCATION_QUERIES.some(q => t.includes(q));
+}
+
+// --- Take-a-message gating: caller wants to leave something for the owner ---
+const MESSAGE_QUERIES = [
+  'leave a message', 'leave him a message', 'leave her a message', 'take a message', 'leave a note',
+  'tell him', 'tell her', 'tell them', 'let him know', 'let her know', 'pass on', 'pass along', 'give him a message', 'give her a message',
+  'message de', 'bata dena', 'bol dena', 'keh dena', 'kah dena', 'sandesh'
+];
+export function asksToLeaveMessage(text) {
+  if (!text) return false;
+  const t = text.toLowerCase();
+  return MESSAGE_QUERIES.some(q => t.includes(q));
+}
+// A bare "can I leave a message?" carries no content; anything with a few real words after the trigger does.
+export function messageHasContent(text) {
+  let t = String(text || '').toLowerCase();
+  for (const q of MESSAGE_QUERIES) t = t.split(q).join(' ');
+  const words = t.replace(/\b(can|could|i|may|please|you|a|to|for|that|him|her|them|want|like|would|just)\b/g, ' ')
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(Boolean);
+  return words.length >= 3;
+}
+// --- Quick urgency guess for stored messages ---
+const URGENT_WORDS = [
+  'emergency', 'urgent', 'asap', 'immediately', 'right now', 'call me back now', 'hospital', 'accident', 'ambulance', 'police', 'help',
+  'jaldi', 'turant', 'abhi call'
+];
+const SOON_WORDS = ['today', 'tonight', 'soon', 'important', 'call me back', 'when you can', 'aaj'];
+export function guessUrgency(text) {
+  const t = String(text || '').toLowerCase();
+  if (URGENT_WORDS.some(w => t.includes(w))) return 'high';
+  if (SOON_WORDS.some(w => t.includes(w))) return 'medium';
+  return 'low';
+}
+
+// --- Proximity gating: "how far are you from me?" ---
+const PROXIMITY_QUERIES = [
+  'how far', 'far from', 'from me', 'near me', 'close to me', 'distance', 'how long will', 'how long until', 'eta',
+  'get here', 'reach here', 'arrive', 'kitni door', 'kitna door', 'kitna time', 'kab tak', 'pahunch',
+];
+export function asksForProximity(text) {
+  if (!text) return false;
+  const t = text.toLowerCase();
+  return PROXIMITY_QUERIES.some(q => (q === 'eta' ? /\beta\b/.test(t) : t.includes(q)));
+}
+
+// --- Calendar range named in the question ("next week", "tomorrow", "next 3 days"), else null ---
+const CALENDAR_RANGE_PATTERNS = [
+  [/\bnext week\b|\bagle (hafte|week)\b/i, { range: 'next_week' }, 'next week'],
+  [/\bthis week\b|\bis (hafte|week)\b/i, { range: 'this_week' }, 'rest of this week'],
+  [/\bweekend\b/i, { range: 'weekend' }, 'the weekend'],
+  [/\btomorrow\b|\bkal\b/i, { range: 'tomorrow' }, 'tomorrow'],
+  [/\btoday\b|\baaj\b/i, { range: 'today' }, 'rest of today'],
+];
+export function pickCalendarRange(text) {
+  const t = String(text || '');
+  const days = t.match(/\bnext (\d{1,2}) days\b/i);
+  if (days) {
+    const n = Math.min(Math.max(Number(days[1]), 1), 31);
+    return { params: { days: String(n) }, label: `the next ${n} days, starting today` };
+  }
+  for (const [re, params, label] of CALENDAR_RANGE_PATTERNS) {
+    if (re.test(t)) return { params, label };
+  }
+  return null;
+}
+
+// --- Free/busy gating ---
+const AVAILABILITY_QUERIES = [
+  'are you free', 'you free', 'free to talk', 'free today', 'free tomorrow', 'when are you free', 'available', 'availability',
+  'busy', 'time to talk', 'can we talk', 'can we meet', 'slot', 'when can i call', 'call you later',
+  'free ho', 'fursat', 'khaali', 'khali', 'kab baat',
+];
+export function asksForAvailability(text) {
+  if (!text) return false;
+  const t = text.toLowerCase();
+  return AVAILABILITY_QUERIES.some(q => t.includes(q));
+}
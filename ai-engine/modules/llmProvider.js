@@ -0,0 +1,153 @@
+import { readFileSync } from 'fs';
+
+// Chat-completion providers behind one interface, picked by config (LLM_PROVIDER):
+//   complete({ messages, temperature, maxTokens, signal }) -> { text }
+//   stream({ messages, temperature, maxTokens, signal })   -> async iterable of text deltas
+// `configError` is set when the provider can't work with the current config.
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const GROQ_DEFAULT_MODEL = 'llama-3.1-8b-instant';
+
+export class LLMError extends Error {
+  constructor(message, { status = 502, detail = '' } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Any server that speaks the OpenAI /chat/completions API (Groq, Ollama, llama.cpp, vLLM, ...).
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = '', model, name = 'openai' } = {}) {
+    this.name = name;
+    this.baseUrl = String(baseUrl || '').replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.configError = !this.baseUrl ? 'Missing LLM_BASE_URL' : !this.model ? 'Missing LLM_MODEL' : null;
+  }
+
+  async request({ messages, temperature = 0.3, maxTokens = 768, signal, stream = false }) {
+    if (this.configError) throw new LLMError(this.configError, { status: 500 });
+    const resp = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Accept-Charset': 'utf-8',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature,
+        max_tokens: maxTokens,
+        messages,
+        ...(stream ? { stream: true } : {}),
+      }),
+      signal,
+    });
+    if (!resp.ok) {
+      throw new LLMError('Chat failed', { status: 502, detail: await resp.text() });
+    }
+    return resp;
+  }
+
+  async complete(opts) {
+    const resp = await this.request(opts);
+    const json = await resp.json();
+    return { text: json?.choices?.[0]?.message?.content || '' };
+  }
+
+  async *stream(opts) {
+    const resp = await this.request({ ...opts, stream: true });
+    for await (const data of readEventStream(resp.body)) {
+      if (data === '[DONE]') break;
+      let delta = '';
+      try { delta = JSON.parse(data)?.choices?.[0]?.delta?.content || ''; } catch {}
+      if (delta) yield delta;
+    }
+  }
+}
+
+export class GroqProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, model = GROQ_DEFAULT_MODEL, baseUrl = GROQ_BASE_URL } = {}) {
+    super({ baseUrl, apiKey, model, name: 'groq' });
+    if (!apiKey) this.configError = 'Missing GROQ_API_KEY';
+  }
+}
+
+// Deterministic provider for tests and offline runs. Replies come from the first
+// rule whose `match` occurs in the last user message, else the last user message is echoed.
+export class FakeProvider {
+  constructor({ replies = [], fallback = 'You said: "{message}"', model = 'fake' } = {}) {
+    this.name = 'fake';
+    this.model = model;
+    this.replies = replies;
+    this.fallback = fallback;
+    this.configError = null;
+  }
+
+  replyFor(messages = []) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const lower = lastUser.toLowerCase();
+    const rule = this.replies.find(r => r?.match && lower.includes(String(r.match).toLowerCase()));
+    return (rule ? rule.reply : this.fallback).replace('{message}', lastUser);
+  }
+
+  async complete({ messages }) {
+    return { text: this.replyFor(messages) };
+  }
+
+  async *stream({ messages, signal }) {
+    for (const token of this.replyFor(messages).match(/\S+\s*/g) || []) {
+      if (signal?.aborted) throw Object.assign(new Error('aborted'), { name: 'AbortError' });
+      yield token;
+    }
+  }
+}
+
+// LLM_PROVIDER: groq (default) | openai | fake
+export function createLLMProvider(env = process.env) {
+  const kind = String(env.LLM_PROVIDER || 'groq').toLowerCase();
+
+  if (kind === 'fake') {
+    let rules = {};
+    if (env.LLM_FAKE_FILE) rules = JSON.parse(readFileSync(env.LLM_FAKE_FILE, 'utf8'));
+    return new FakeProvider({
+      replies: Array.isArray(rules) ? rules : rules.replies || [],
+      ...(rules.fallback ? { fallback: rules.fallback } : {}),
+    });
+  }
+
+  if (kind === 'openai') {
+    return new OpenAICompatibleProvider({
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY || '',
+      model: env.LLM_MODEL,
+    });
+  }
+
+  return new GroqProvider({
+    apiKey: env.LLM_API_KEY || env.GROQ_API_KEY,
+    model: env.LLM_MODEL || env.GROQ_CHAT_MODEL || GROQ_DEFAULT_MODEL,
+    ...(env.LLM_BASE_URL ? { baseUrl: env.LLM_BASE_URL } : {}),
+  });
+}
+
+// Yields the `data:` payload of each event in a text/event-stream body.
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let idx;
+    while ((idx = buf.indexOf('\n\n')) >= 0) {
+      const raw = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      const data = raw.split('\n')
+        .filter(l => l.startsWith('data:'))
+        .map(l => l.slice(5).trimStart())
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
@@ -0,0 +1,37 @@
+// Screening of uploaded location fixes ({ latitude, longitude, timestamp (epoch ms), accuracy?, speed?, ... }).
+// Pure, so batches can be replayed against it.
+
+export const DEFAULT_FIX_LIMITS = Object.freeze({
+  maxAgeMs: 24 * 60 * 60 * 1000, // older fixes are rejected as too_old
+  clockSkewMs: 2 * 60 * 1000,    // fixes further in the future than this are rejected as future
+});
+
+export function validFix(p) {
+  return !!p &&
+    typeof p.latitude === 'number' && Math.abs(p.latitude) <= 90 &&
+    typeof p.longitude === 'number' && Math.abs(p.longitude) <= 180 &&
+    typeof p.timestamp === 'number' && Number.isFinite(p.timestamp);
+}
+
+// Splits a batch into accepted (sorted, de-duplicated) fixes and rejections with a reason:
+// invalid | future | too_old | out_of_order (at or before `watermark`) | duplicate (same timestamp, worse or equal accuracy).
+export function screenFixes(points, { watermark = 0, now = Date.now(), ...limits } = {}) {
+  const { maxAgeMs, clockSkewMs } = { ...DEFAULT_FIX_LIMITS, ...limits };
+  const rejected = [];
+  const byTimestamp = new Map();
+  points.forEach((p, index) => {
+    const reject = reason => rejected.push({ index, timestamp: p?.timestamp ?? null, reason });
+    if (!validFix(p)) return reject('invalid');
+    if (p.timestamp > now + clockSkewMs) return reject('future');
+    if (p.timestamp < now - maxAgeMs) return reject('too_old');
+    if (p.timestamp <= watermark) return reject('out_of_order');
+    const dup = byTimestamp.get(p.timestamp);
+    if (dup && !(Number(p.accuracy) < Number(dup.accuracy))) return reject('duplicate');
+    if (dup) rejected.push({ index: dup.index, timestamp: dup.timestamp, reason: 'duplicate' });
+    byTimestamp.set(p.timestamp, { ...p, index });
+  });
+  const accepted = [...byTimestamp.values()]
+    .sort((x, y) => x.timestamp - y.timestamp)
+    .map(({ index, ...fix }) => fix);
+  return { accepted, rejected };
+}
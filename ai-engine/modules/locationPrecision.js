@@ -0,0 +1,46 @@
+// Location precision (per-guest grant permission, see AUTH_API /acl/can-act-as) and address formatting.
+// Coordinates are snapped to a grid and the address trimmed before they leave the server or reach the LLM.
+
+export const LOCATION_PRECISION_DECIMALS = { exact: null, street: 3, neighbourhood: 2, city: 1 }; // ~110 m, ~1.1 km, ~11 km
+export const LOCATION_PRECISIONS = [...Object.keys(LOCATION_PRECISION_DECIMALS), 'hidden'];
+const ADDRESS_FIELDS_BY_PRECISION = {
+  street: ['road', 'pedestrian', 'path', 'cycleway', 'footway', 'neighbourhood', 'suburb', 'city_district', 'village', 'town', 'city', 'county', 'state', 'postcode', 'country', 'country_code'],
+  neighbourhood: ['neighbourhood', 'suburb', 'city_district', 'village', 'town', 'city', 'county', 'state', 'country', 'country_code'],
+  city: ['village', 'town', 'city', 'county', 'state', 'country', 'country_code'],
+};
+export function normalizePrecision(p, fallback = 'hidden') {
+  return LOCATION_PRECISIONS.includes(p) ? p : fallback;
+}
+export function coarsenFix(fix, precision) {
+  if (!fix || precision === 'hidden') return null;
+  const decimals = LOCATION_PRECISION_DECIMALS[precision];
+  const accuracy = Number.isFinite(fix.accuracy) ? fix.accuracy : null;
+  if (decimals === null) return { ...fix, accuracy };
+  const f = 10 ** decimals;
+  return {
+    ...fix,
+    latitude: Math.round(fix.latitude * f) / f,
+    longitude: Math.round(fix.longitude * f) / f,
+    accuracy: Math.max(accuracy || 0, Math.round(111320 / f)),
+    speed: null,
+    heading: null,
+  };
+}
+export function addressForPrecision(address, precision) {
+  if (!address || precision === 'hidden') return null;
+  if (precision === 'exact') return address;
+  const keep = ADDRESS_FIELDS_BY_PRECISION[precision];
+  return Object.fromEntries(Object.entries(address).filter(([k]) => keep.includes(k)));
+}
+
+export function formatAddressLine(address) {
+  if (!address) return null;
+  const parts = [
+    address.road || address.pedestrian || address.path || address.cycleway || address.footway,
+    address.neighbourhood || address.suburb || address.village || address.town || address.city_district,
+    address.city || address.town || address.village || address.county,
+    address.state,
+    address.postcode
+  ].filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+}
@@ -0,0 +1,97 @@
+import { haversineMeters } from './geo.js';
+
+// Movement state from a short window of recent fixes (oldest first):
+//   classifyMovement(points, thresholds) -> { state, speedMps, confidence, samples }
+// state: stationary | walking | driving | in_transit (faster than road traffic: trains, planes) | unknown.
+// Pure and deterministic, so recorded tracks can be replayed against it.
+
+export const DEFAULT_MOVEMENT_THRESHOLDS = Object.freeze({
+  windowMs: 5 * 60 * 1000,    // how far back to look from the newest point
+  stationaryMaxMps: 0.5,
+  walkingMaxMps: 2.5,         // ~9 km/h
+  drivingMaxMps: 45,          // ~160 km/h
+  stationaryRadiusM: 60,      // net displacement below this over the window also reads as stationary
+  settleMs: 30 * 1000,        // how long a fix must stay within GPS accuracy of the last one to count as a stop
+  minSamples: 2,
+});
+
+export function movementThresholdsFromEnv(env = process.env) {
+  const num = (v, fallback) => (v !== undefined && v !== '' && Number.isFinite(Number(v)) ? Number(v) : fallback);
+  const d = DEFAULT_MOVEMENT_THRESHOLDS;
+  return {
+    windowMs: num(env.MOVEMENT_WINDOW_SEC, d.windowMs / 1000) * 1000,
+    stationaryMaxMps: num(env.MOVEMENT_STATIONARY_MAX_MPS, d.stationaryMaxMps),
+    walkingMaxMps: num(env.MOVEMENT_WALKING_MAX_MPS, d.walkingMaxMps),
+    drivingMaxMps: num(env.MOVEMENT_DRIVING_MAX_MPS, d.drivingMaxMps),
+    stationaryRadiusM: num(env.MOVEMENT_STATIONARY_RADIUS_M, d.stationaryRadiusM),
+    settleMs: d.settleMs,
+    minSamples: d.minSamples,
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function stateForSpeed(mps, t) {
+  if (mps <= t.stationaryMaxMps) return 'stationary';
+  if (mps <= t.walkingMaxMps) return 'walking';
+  if (mps <= t.drivingMaxMps) return 'driving';
+  return 'in_transit';
+}
+
+// Speed samples: the device-reported speed when present, otherwise the speed from the last anchor fix. A fix
+// within the two fixes' accuracy of the anchor is GPS jitter and gives no sample until settleMs has passed
+// (then 0), so a slow walk sampled faster than it leaves the accuracy circle still reads as movement.
+function speedSamples(points, t) {
+  const samples = [];
+  let anchor = null;
+  for (const p of points) {
+    if (Number.isFinite(p.speed) && p.speed >= 0) {
+      samples.push(p.speed);
+      anchor = p;
+      continue;
+    }
+    if (!anchor) {
+      anchor = p;
+      continue;
+    }
+    const dt = (p.timestamp - anchor.timestamp) / 1000;
+    if (dt <= 0) continue;
+    const dist = haversineMeters(anchor, p);
+    const jitter = (Number(anchor.accuracy) || 0) + (Number(p.accuracy) || 0);
+    if (dist > jitter) samples.push(dist / dt);
+    else if (dt * 1000 >= t.settleMs) samples.push(0);
+    else continue;
+    anchor = p;
+  }
+  return samples;
+}
+
+export function classifyMovement(points, thresholds = DEFAULT_MOVEMENT_THRESHOLDS) {
+  const t = { ...DEFAULT_MOVEMENT_THRESHOLDS, ...thresholds };
+  const sorted = (points || [])
+    .filter(p => p && Number.isFinite(p.latitude) && Number.isFinite(p.longitude) && Number.isFinite(p.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const newest = sorted[sorted.length - 1];
+  const window = newest ? sorted.filter(p => p.timestamp >= newest.timestamp - t.windowMs) : [];
+
+  const samples = speedSamples(window, t);
+  if (samples.length < t.minSamples) return { state: 'unknown', speedMps: null, confidence: 0, samples: samples.length };
+
+  const speedMps = median(samples);
+  let state = stateForSpeed(speedMps, t);
+  const netM = haversineMeters(window[0], newest);
+  const spanS = (newest.timestamp - window[0].timestamp) / 1000;
+  if (state !== 'stationary' && netM < t.stationaryRadiusM && spanS >= 60) state = 'stationary';
+
+  const agreeing = samples.filter(s => stateForSpeed(s, t) === state).length;
+  return {
+    state,
+    speedMps: Math.round(speedMps * 10) / 10,
+    confidence: Math.round((agreeing / samples.length) * 100) / 100,
+    samples: samples.length,
+  };
+}
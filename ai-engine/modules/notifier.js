@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Delivers urgency escalations to the persona owner, picked by config (ESCALATION_NOTIFIER):
+//   notify(escalation, settings) -> { delivered, channel, detail? }
+// `settings` is the owner's escalation settings (webhookUrl, pushToken, ...).
+
+function summaryLine(escalation) {
+  const who = escalation.caller?.name || escalation.caller?.email || 'Someone';
+  return `${who}: ${String(escalation.transcript || '').slice(0, 160)}`;
+}
+
+// Owner-supplied webhook URLs must not reach into our own network: loopback, private, link-local, CGNAT,
+// multicast and unspecified addresses are refused, also when the hostname resolves to one.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+export function isPrivateAddress(ip) {
+  const addr = String(ip || '').replace(/^\[|\]$/g, '');
+  const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mapped) return PRIVATE_RANGES.check(mapped, 'ipv4');
+  const family = net.isIP(addr);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(addr, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// A dns.lookup-compatible resolver for http(s).request that fails with EPRIVATE when the host resolves to a
+// private address. The socket connects to the address checked here, so a DNS-rebinding host can't pass an
+// earlier check and then point the request somewhere else. `resolve` is dns.lookup (injectable for tests).
+export function publicOnlyLookup(resolve = dns.lookup) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') [options, callback] = [{}, options];
+    resolve(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const bad = addresses.find(a => isPrivateAddress(a.address));
+      if (bad || !addresses.length) {
+        return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATE' }));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// -> null when the URL may be called, else why not. `lookup` resolves all addresses of a hostname
+// (dns.promises.lookup with { all: true } by default).
+export async function webhookTargetProblem(url, { lookup = host => dns.promises.lookup(host, { all: true }) } = {}) {
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return 'invalid url';
+  }
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'private address';
+  if (net.isIP(host)) return isPrivateAddress(host) ? 'private address' : null;
+  let addresses;
+  try {
+    addresses = await lookup(host);
+  } catch (e) {
+    return `unresolvable host (${e?.code || e?.message || e})`;
+  }
+  return addresses.some(a => isPrivateAddress(a.address)) ? 'private address' : null;
+}
+
+// POST without following redirects, connecting only through `lookup`. -> { ok, status }
+function postPinned(url, { headers, body, lookup, timeoutMs }) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(timeoutMs),
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve({ ok: res.statusCode >= 200 && res.statusCode < 300, status: res.statusCode }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// POSTs the escalation as JSON. Signed with X-VM-Signature (HMAC-SHA256 of the body) when a secret is set.
+export class WebhookNotifier {
+  constructor({ url = '', secret = '', timeoutMs = 5000, lookup = publicOnlyLookup(), targetProblem = webhookTargetProblem } = {}) {
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+    this.lookup = lookup;
+    this.targetProblem = targetProblem;
+  }
+
+  // The configured ESCALATION_WEBHOOK_URL is trusted; an owner's own URL is checked, only connects to
+  // public addresses and may not redirect.
+  async notify(escalation, settings = {}) {
+    const url = settings.webhookUrl || this.url;
+    if (!url) return { delivered: false, channel: this.name, detail: 'no webhook url' };
+    const ownerUrl = !!settings.webhookUrl;
+    if (ownerUrl) {
+      const problem = await this.targetProblem(url);
+      if (problem) return { delivered: false, channel: this.name, detail: `webhook refused: ${problem}` };
+    }
+    const body = JSON.stringify({ type: 'escalation', escalation });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-VM-Signature'] = crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+    }
+    let resp;
+    try {
+      resp = ownerUrl
+        ? await postPinned(url, { headers, body, lookup: this.lookup, timeoutMs: this.timeoutMs })
+        : await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.timeoutMs) });
+    } catch (e) {
+      if (e?.code === 'EPRIVATE') return { delivered: false, channel: this.name, detail: 'webhook refused: private address' };
+      throw e;
+    }
+    return { delivered: resp.ok, channel: this.name, ...(resp.ok ? {} : { detail: `HTTP ${resp.status}` }) };
+  }
+}
+
+// Expo push notifications (the mobile app registers an ExponentPushToken as settings.pushToken).
+export class PushNotifier {
+  constructor({ endpoint = 'https://exp.host/--/api/v2/push/send', accessToken = '', timeoutMs = 5000 } = {}) {
+    this.name = 'push';
+    this.endpoint = endpoint;
+    this.accessToken = accessToken;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async notify(escalation, settings = {}) {
+    if (!settings.pushToken) return { delivered: false, channel: this.name, detail: 'no push token' };
+    const resp = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {}),
+      },
+      body: JSON.stringify({
+        to: settings.pushToken,
+        title: escalation.urgency === 'high' ? 'Urgent call for you' : 'Someone needs you',
+        body: summaryLine(escalation),
+        priority: 'high',
+        data: { type: 'escalation', id: escalation.id },
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    return { delivered: resp.ok, channel: this.name, ...(resp.ok ? {} : { detail: `HTTP ${resp.status}` }) };
+  }
+}
+
+// Local sink for tests and development: logs and keeps the last few escalations in memory.
+export class LogNotifier {
+  constructor({ keep = 100, silent = false } = {}) {
+    this.name = 'log';
+    this.keep = keep;
+    this.silent = silent;
+    this.sent = [];
+  }
+
+  async notify(escalation, settings = {}) {
+    this.sent.push({ escalation, settings, at: Date.now() });
+    if (this.sent.length > this.keep) this.sent.shift();
+    if (!this.silent) console.info('[ESCALATION]', escalation.ownerId, escalation.urgency, summaryLine(escalation));
+    return { delivered: true, channel: this.name };
+  }
+}
+
+// ESCALATION_NOTIFIER: log (default) | webhook | push
+export function createNotifier(env = process.env) {
+  const kind = String(env.ESCALATION_NOTIFIER || 'log').toLowerCase();
+  if (kind === 'webhook') {
+    return new WebhookNotifier({ url: env.ESCALATION_WEBHOOK_URL || '', secret: env.ESCALATION_WEBHOOK_SECRET || '' });
+  }
+  if (kind === 'push') {
+    return new PushNotifier({ accessToken: env.EXPO_ACCESS_TOKEN || '' });
+  }
+  return new LogNotifier();
+}
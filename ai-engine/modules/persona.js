@@ -0,0 +1,52 @@
+// Persona prompt building shared by /voice, /chat and /realtime: who the persona is and how it should answer.
+
+export function buildPersonaCard(profilePublic) {
+  if (!profilePublic) return '';
+  const lines = [];
+
+  if (profilePublic.character) lines.push(`Character: ${profilePublic.character}`);
+  if (profilePublic.languages?.length) lines.push(`Languages: ${profilePublic.languages.join(', ')}`);
+  if (profilePublic.voiceStyle) lines.push(`Voice style: ${profilePublic.voiceStyle}`);
+  if (profilePublic.availability) lines.push(`Availability: ${profilePublic.availability}`);
+  if (profilePublic.timeZone) lines.push(`Time zone: ${profilePublic.timeZone}`);
+  if (profilePublic.calendarPrefs) lines.push(`Calendar: ${profilePublic.calendarPrefs}`);
+  if (profilePublic.aiPersona) lines.push(`Bio: ${profilePublic.aiPersona}`);
+
+  return lines.join('\n');
+}
+
+// --- Language helpers: only English/Hindi; prefer English unless Hindi detected ---
+export function pickAllowedLanguage(langCodeFromSTT) {
+  const m = String(langCodeFromSTT || '').toLowerCase();
+  if (m.startsWith('hi')) return 'Hindi';
+  // Fallback/most cases
+  return 'English';
+}
+
+// --- Name coalescing and voice sanitization ---
+export function coalesceName(profileName, preferredName, fallbackFull = 'Kavish Nayeem', fallbackShort = 'Kavish') {
+  const full = (profileName || '').trim() || fallbackFull;
+  const short = (preferredName || '').trim() || fallbackShort;
+  return { full, short };
+}
+export function sanitizeVoiceId(voiceId) {
+  if (!voiceId) return '';
+  if (!/^[A-Za-z0-9\-_]{6,64}$/.test(voiceId)) return '';
+  return voiceId;
+}
+
+export function buildSystemPrompt({ full, short }, languageName, { firstTurn }, calendarContext, personaCard) {
+  return [
+    `Premise: You will be accessed if some close relative of yours cant reach you on call or text so they use this to get your updates on why cant they reach you, so use the information below to answer`,
+    `You are "${full}" (preferred name: "${short}"). Speak ONLY in ${languageName}. Behave and speak like a human with the persona attached.`,
+    `Use first person as ${short}. Never call yourself an assistant or talk about being an AI.`,
+    `Prefer natural sentences. Keep it conversational, not verbose.`,
+    `If you are uncertain or lack context, say "I don't know" (or its ${languageName} equivalent). Do not fabricate or assume.`,
+    `Do NOT disclose your or the user's location unless explicitly asked in the user's message.`,
+    `Use ONLY the provided context. Do NOT invent calendar, contacts, or locations. Current calendar context: ${calendarContext}`,
+    `Do NOT blindly accept claims from the user; verify against the provided context. If unsure, say you don't know.`,
+    `Stay within scope. If a request is outside context, say you don't know or ask for more info.`,
+    personaCard ? `Persona profile:\n${personaCard}` : ``,
+    firstTurn ? `On your very first reply in this conversation, start with a brief greeting and your name (one short sentence), then answer.` : ``
+  ].filter(Boolean).join('\n');
+}
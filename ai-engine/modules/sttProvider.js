@@ -0,0 +1,199 @@
+import { execFile } from 'child_process';
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Speech-to-text adapters behind one interface, picked by config (STT_PROVIDER):
+//   transcribe({ buffer, mimetype, filename, signal }) -> { text, language, segments: [{ start, end, text }] }
+// Times in segments are seconds. `configError` is set when the adapter can't work with the current config.
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const GROQ_DEFAULT_MODEL = 'whisper-large-v3-turbo';
+
+export class STTError extends Error {
+  constructor(message, { status = 502, detail = '' } = {}) {
+    super(message);
+    this.name = 'STTError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function normalizeSegments(segments) {
+  if (!Array.isArray(segments)) return [];
+  return segments.map(s => ({
+    start: Number(s.start) || 0,
+    end: Number(s.end) || 0,
+    text: String(s.text || '').trim(),
+  }));
+}
+
+// Groq (or any OpenAI-compatible) /audio/transcriptions.
+export class GroqSTT {
+  constructor({ apiKey, model = GROQ_DEFAULT_MODEL, baseUrl = GROQ_BASE_URL } = {}) {
+    this.name = 'groq';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = String(baseUrl).replace(/\/$/, '');
+    this.configError = apiKey ? null : 'Missing GROQ_API_KEY';
+  }
+
+  async transcribe({ buffer, mimetype, filename, signal }) {
+    if (this.configError) throw new STTError(this.configError, { status: 500 });
+    const fd = new FormData();
+    fd.append('file', new Blob([buffer], { type: mimetype || 'audio/wav' }), filename || 'audio.wav');
+    fd.append('model', this.model);
+    fd.append('response_format', 'verbose_json');
+    const resp = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      body: fd,
+      signal,
+    });
+    if (!resp.ok) throw new STTError('STT failed', { detail: await resp.text() });
+    const json = await resp.json();
+    return {
+      text: (json?.text || '').trim(),
+      language: (json?.language || '').trim(),
+      segments: normalizeSegments(json?.segments),
+    };
+  }
+}
+
+function run(bin, args, { timeoutMs, signal }) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: timeoutMs, signal, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        if (err.name === 'AbortError') return reject(err);
+        return reject(new STTError('STT failed', { detail: `${bin}: ${stderr || err.message}` }));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Local Whisper by shelling out to either
+//   whisper.cpp     (`whisper-cli -m <ggml model> -f in.wav -oj`), fed 16 kHz mono WAV via ffmpeg, or
+//   faster-whisper  (the `whisper-ctranslate2` CLI, `--output_format json`).
+export class LocalWhisperSTT {
+  constructor({ engine = 'whisper.cpp', bin, model, language = 'auto', ffmpegBin = 'ffmpeg', timeoutMs = 120000 } = {}) {
+    this.name = 'local';
+    this.engine = engine === 'faster-whisper' ? 'faster-whisper' : 'whisper.cpp';
+    this.bin = bin || (this.engine === 'whisper.cpp' ? 'whisper-cli' : 'whisper-ctranslate2');
+    this.model = model || (this.engine === 'whisper.cpp' ? '' : 'small');
+    this.language = language;
+    this.ffmpegBin = ffmpegBin;
+    this.timeoutMs = timeoutMs;
+    this.configError = this.engine === 'whisper.cpp' && !this.model ? 'Missing STT_LOCAL_MODEL (path to a ggml model)' : null;
+  }
+
+  async transcribe({ buffer, filename, signal }) {
+    if (this.configError) throw new STTError(this.configError, { status: 500 });
+    const dir = await mkdtemp(join(tmpdir(), 'vm-stt-'));
+    try {
+      const ext = (String(filename || '').match(/\.[a-z0-9]{1,5}$/i)?.[0] || '.wav').toLowerCase();
+      const input = join(dir, `input${ext}`);
+      await writeFile(input, buffer);
+      const opts = { timeoutMs: this.timeoutMs, signal };
+      return this.engine === 'whisper.cpp'
+        ? await this.runWhisperCpp(dir, input, opts)
+        : await this.runFasterWhisper(dir, input, opts);
+    } finally {
+      await rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async runWhisperCpp(dir, input, opts) {
+    let wav = input;
+    if (this.ffmpegBin) {
+      wav = join(dir, 'input-16k.wav');
+      await run(this.ffmpegBin, ['-nostdin', '-loglevel', 'error', '-y', '-i', input, '-ar', '16000', '-ac', '1', wav], opts);
+    }
+    const outBase = join(dir, 'out');
+    await run(this.bin, ['-m', this.model, '-f', wav, '-l', this.language, '-oj', '-of', outBase, '-np'], opts);
+    const json = JSON.parse(await readFile(`${outBase}.json`, 'utf8'));
+    const segments = (json?.transcription || []).map(s => ({
+      start: (s.offsets?.from || 0) / 1000,
+      end: (s.offsets?.to || 0) / 1000,
+      text: s.text,
+    }));
+    return {
+      text: segments.map(s => String(s.text || '').trim()).filter(Boolean).join(' '),
+      language: json?.result?.language || '',
+      segments: normalizeSegments(segments),
+    };
+  }
+
+  async runFasterWhisper(dir, input, opts) {
+    const args = [input, '--model', this.model, '--output_format', 'json', '--output_dir', dir];
+    if (this.language && this.language !== 'auto') args.push('--language', this.language);
+    await run(this.bin, args, opts);
+    const json = JSON.parse(await readFile(join(dir, 'input.json'), 'utf8'));
+    return {
+      text: (json?.text || '').trim(),
+      language: json?.language || '',
+      segments: normalizeSegments(json?.segments),
+    };
+  }
+}
+
+// Fixture-driven adapter for tests and offline CI. Looks up `<fixturesDir>/<sha256 of audio>.json`,
+// then `<fixturesDir>/default.json`, then falls back to the configured text.
+export class FakeSTT {
+  constructor({ fixturesDir = '', text = 'Hello', language = 'en' } = {}) {
+    this.name = 'fake';
+    this.model = 'fake';
+    this.fixturesDir = fixturesDir;
+    this.text = text;
+    this.language = language;
+    this.configError = null;
+  }
+
+  async transcribe({ buffer }) {
+    if (this.fixturesDir) {
+      const sha = createHash('sha256').update(buffer).digest('hex');
+      for (const name of [`${sha}.json`, 'default.json']) {
+        const file = join(this.fixturesDir, name);
+        if (!existsSync(file)) continue;
+        const json = JSON.parse(readFileSync(file, 'utf8'));
+        return {
+          text: String(json.text || '').trim(),
+          language: json.language || this.language,
+          segments: normalizeSegments(json.segments),
+        };
+      }
+    }
+    return { text: this.text, language: this.language, segments: [] };
+  }
+}
+
+// STT_PROVIDER: groq (default) | local | fake
+export function createSTTProvider(env = process.env) {
+  const kind = String(env.STT_PROVIDER || 'groq').toLowerCase();
+
+  if (kind === 'fake') {
+    return new FakeSTT({
+      fixturesDir: env.STT_FIXTURES_DIR || '',
+      ...(env.STT_FAKE_TEXT ? { text: env.STT_FAKE_TEXT } : {}),
+      ...(env.STT_FAKE_LANGUAGE ? { language: env.STT_FAKE_LANGUAGE } : {}),
+    });
+  }
+
+  if (kind === 'local') {
+    return new LocalWhisperSTT({
+      engine: env.STT_LOCAL_ENGINE,
+      bin: env.STT_LOCAL_BIN,
+      model: env.STT_LOCAL_MODEL,
+      language: env.STT_LOCAL_LANGUAGE || 'auto',
+      ffmpegBin: env.STT_FFMPEG_BIN ?? 'ffmpeg',
+      timeoutMs: Number(env.STT_LOCAL_TIMEOUT_MS || 120000),
+    });
+  }
+
+  return new GroqSTT({
+    apiKey: env.GROQ_API_KEY,
+    model: env.GROQ_STT_MODEL || GROQ_DEFAULT_MODEL,
+  });
+}
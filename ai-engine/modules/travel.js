@@ -0,0 +1,87 @@
+import { haversineMeters } from './geo.js';
+
+// Where the owner is relative to home: home | nearby | out_of_town | abroad.
+// "Home" is the saved place of kind home, else the geocoded profile homeAddress; any other saved place (an office,
+// a gym) is not home, so without either there is no travel state at all rather than a wrong one. nearby = within
+// nearbyM of home or of any other saved place; abroad = the reverse-geocoded country differs from home's.
+// Local time there: the device's reported timeZone, else the profile's while still in the home country,
+// else a rough UTC offset from longitude.
+
+export const TRAVEL_PHRASES = {
+  home: 'at home',
+  nearby: 'out, but near home',
+  out_of_town: 'out of town',
+  abroad: 'travelling abroad',
+};
+
+export function validTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+// Etc/GMT zones have inverted signs: Etc/GMT-5 is UTC+5.
+export function longitudeTimeZone(lon) {
+  const offset = Math.max(-12, Math.min(14, Math.round(lon / 15)));
+  return offset === 0 ? 'Etc/GMT' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+// `anchor` is the geocoded homeAddress ({ latitude, longitude }) or null. -> a place, or null when there's no home.
+export function pickHome(places, anchor, { radiusM }) {
+  const saved = (places || []).find(p => p.kind === 'home');
+  if (saved) return saved;
+  if (Number.isFinite(anchor?.latitude) && Number.isFinite(anchor?.longitude)) {
+    return { name: 'Home', kind: 'home', latitude: anchor.latitude, longitude: anchor.longitude, radiusM };
+  }
+  return null;
+}
+
+// `here` and `homeGeo` are reverse-geocoder results ({ address }) for the fix and for home, or null.
+// `homeMarginM(place)` is the geofence's exit margin, so "home" matches the geofence.
+export function travelStateFor({ fix, home, places = [], here = null, homeGeo = null, profileTimeZone = null, nearbyM, homeMarginM }) {
+  if (!fix || !home) return null;
+  const fromHomeM = haversineMeters(fix, home);
+  const countryCode = here?.address?.country_code || null;
+  const homeCountryCode = homeGeo?.address?.country_code || null;
+
+  let state = 'out_of_town';
+  if (fromHomeM <= home.radiusM + homeMarginM(home)) state = 'home';
+  else if ([home, ...places].some(p => haversineMeters(fix, p) <= nearbyM)) state = 'nearby';
+  else if (countryCode && homeCountryCode && countryCode !== homeCountryCode) state = 'abroad';
+
+  let timeZone = longitudeTimeZone(fix.longitude);
+  let timeZoneSource = 'longitude';
+  if (validTimeZone(fix.timeZone)) [timeZone, timeZoneSource] = [fix.timeZone, 'device'];
+  else if (state !== 'abroad' && validTimeZone(profileTimeZone)) [timeZone, timeZoneSource] = [profileTimeZone, 'profile'];
+
+  const a = here?.address || {};
+  return {
+    state,
+    homeName: home.name,
+    fromHomeM: Math.round(fromHomeM),
+    city: a.city || a.town || a.village || a.county || a.state || null,
+    country: a.country || null,
+    countryCode,
+    timeZone,
+    timeZoneSource,
+    at: fix.timestamp,
+  };
+}
+
+// Persona context line. The distance from home is only given at neighbourhood precision or finer (and rounded);
+// city-precision callers get the city and the local time.
+export function travelText(t, { profileTimeZone = null, precision = 'city', now = Date.now() } = {}) {
+  if (!t) return null;
+  const where = [t.city, t.state === 'abroad' ? t.country : null].filter(Boolean).join(', ');
+  const km = t.fromHomeM < 10000 ? Math.max(1, Math.round(t.fromHomeM / 1000)) : Math.round(t.fromHomeM / 10000) * 10;
+  const showDistance = t.state !== 'home' && ['exact', 'street', 'neighbourhood'].includes(precision);
+  const distance = showDistance ? ` (about ${km} km from ${t.homeName})` : '';
+  const clock = new Date(now).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: t.timeZone });
+  const local = t.timeZoneSource === 'longitude' ? ` Local time there is roughly ${clock}.`
+    : t.timeZone !== profileTimeZone ? ` Local time there is ${clock} (${t.timeZone}).`
+    : ` Local time is ${clock}.`;
+  return `Currently ${TRAVEL_PHRASES[t.state]}${where && t.state !== 'home' ? ` in ${where}` : ''}${distance}.${local}`;
+}
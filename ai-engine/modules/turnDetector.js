@@ -0,0 +1,115 @@
+// Energy-based turn detection for realtime voice sessions.
+// Input is raw PCM16LE mono; push(chunk, { agentSpeaking }) returns the events produced by that chunk:
+//   { type: 'speech_start', bargeIn }        caller started talking; bargeIn when it was over the agent's reply
+//   { type: 'turn', audio }                  caller finished a turn; audio is the PCM of the whole turn
+//   { type: 'speech_end', discarded: true }  noise burst too short to be a turn
+export class TurnDetector {
+  constructor({
+    sampleRate = 16000,
+    frameMs = 20,
+    speechThreshold = 0.02, // RMS on a 0..1 scale
+    startMs = 60,           // voiced audio needed before we call it speech
+    silenceMs = 700,        // trailing silence that ends a turn
+    minSpeechMs = 250,
+    maxTurnMs = 30000,
+    preRollMs = 300,        // audio kept from before speech_start so the first syllable isn't clipped
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.frameMs = frameMs;
+    this.frameBytes = Math.round(sampleRate * frameMs / 1000) * 2;
+    this.speechThreshold = speechThreshold;
+    this.startMs = startMs;
+    this.silenceMs = silenceMs;
+    this.minSpeechMs = minSpeechMs;
+    this.maxTurnMs = maxTurnMs;
+    this.preRollFrames = Math.max(1, Math.round(preRollMs / frameMs));
+    this.carry = Buffer.alloc(0);
+    this.reset();
+  }
+
+  reset() {
+    this.inSpeech = false;
+    this.voicedRunMs = 0;
+    this.speechMs = 0;
+    this.silentMs = 0;
+    this.preRoll = [];
+    this.frames = [];
+  }
+
+  push(chunk, { agentSpeaking = false } = {}) {
+    this.carry = this.carry.length ? Buffer.concat([this.carry, chunk]) : Buffer.from(chunk);
+    const events = [];
+    while (this.carry.length >= this.frameBytes) {
+      const frame = this.carry.subarray(0, this.frameBytes);
+      this.carry = this.carry.subarray(this.frameBytes);
+      const ev = this.processFrame(frame);
+      if (ev?.type === 'speech_start') ev.bargeIn = agentSpeaking;
+      if (ev) events.push(ev);
+    }
+    return events;
+  }
+
+  processFrame(frame) {
+    const voiced = frameRms(frame) >= this.speechThreshold;
+
+    if (!this.inSpeech) {
+      this.preRoll.push(frame);
+      if (this.preRoll.length > this.preRollFrames) this.preRoll.shift();
+      this.voicedRunMs = voiced ? this.voicedRunMs + this.frameMs : 0;
+      if (this.voicedRunMs < this.startMs) return null;
+
+      this.inSpeech = true;
+      this.frames = this.preRoll;
+      this.preRoll = [];
+      this.speechMs = this.voicedRunMs;
+      this.silentMs = 0;
+      return { type: 'speech_start' };
+    }
+
+    this.frames.push(frame);
+    if (voiced) {
+      this.speechMs += this.frameMs;
+      this.silentMs = 0;
+    } else {
+      this.silentMs += this.frameMs;
+    }
+
+    const turnMs = this.frames.length * this.frameMs;
+    if (this.silentMs < this.silenceMs && turnMs < this.maxTurnMs) return null;
+
+    const audio = Buffer.concat(this.frames);
+    const longEnough = this.speechMs >= this.minSpeechMs;
+    this.reset();
+    return longEnough ? { type: 'turn', audio } : { type: 'speech_end', discarded: true };
+  }
+}
+
+export function frameRms(frame) {
+  const samples = Math.floor(frame.length / 2);
+  if (!samples) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const v = frame.readInt16LE(i * 2) / 32768;
+    sum += v * v;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+// Wrap raw PCM16LE mono in a WAV header so it can go to STT as a regular file.
+export function pcm16ToWav(pcm, sampleRate = 16000) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);              // block align
+  header.writeUInt16LE(16, 34);             // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationIds, createConversationIds } from '../modules/conversationIds.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function setup({ secret = 'test-secret', ttlMs = HOUR } = {}) {
+  let clock = Date.parse('2026-03-02T09:00:00Z');
+  const ids = new ConversationIds({ secret, ttlMs, now: () => clock });
+  return { ids, tick: ms => { clock += ms; } };
+}
+// Flips one character of the signature part (the last dot-separated part)
+function tamper(token) {
+  const cut = token.lastIndexOf('.') + 1;
+  const c = token[cut] === 'A' ? 'B' : 'A';
+  return token.slice(0, cut) + c + token.slice(cut + 1);
+}
+
+test('session tokens: issued ones verify, made-up or tampered ones do not', () => {
+  const { ids } = setup();
+  const token = ids.issueSessionToken();
+  assert.match(token, /^vs1\.[\w-]+\.[\w-]+$/);
+  assert.equal(ids.validSessionToken(token), true);
+  assert.equal(ids.validSessionToken(tamper(token)), false);
+  assert.equal(ids.validSessionToken('vs1.my-own-nonce.c2lnbmF0dXJl'), false);
+  assert.equal(ids.validSessionToken(token.replace(/^vs1/, 'vs2')), false);
+  assert.equal(ids.validSessionToken(`${token}.extra`), false);
+  assert.equal(ids.validSessionToken(undefined), false);
+  assert.equal(setup({ secret: 'other-secret' }).ids.validSessionToken(token), false);
+});
+
+test('caller subject: signed-in user, else a valid session token, else none', () => {
+  const { ids } = setup();
+  const token = ids.issueSessionToken();
+  assert.equal(ids.callerSubject({ myId: 'u1', sessionToken: token }), 'u:u1');
+  assert.match(ids.callerSubject({ myId: null, sessionToken: token }), /^a:[\w-]{43}$/);
+  assert.notEqual(ids.callerSubject({ sessionToken: token }), ids.callerSubject({ sessionToken: ids.issueSessionToken() }));
+  assert.equal(ids.callerSubject({ sessionToken: 'vs1.x.y' }), null);
+  assert.equal(ids.callerSubject({}), null);
+});
+
+test('an issued conversation ID verifies for the caller and target it was opened for', () => {
+  const { ids } = setup();
+  const conversationId = ids.issue({ subject: 'u:u1', targetUserId: 'owner1' });
+  assert.match(conversationId, /^cv1\.[\w-]+\.[0-9a-z]+\.[\w-]+$/);
+  assert.deepEqual(ids.check({ conversationId, myId: 'u1', targetUserId: 'owner1' }), { conversationId });
+  assert.deepEqual(ids.check({ conversationId: ` ${conversationId} `, myId: 'u1', targetUserId: 'owner1' }), { conversationId });
+});
+
+test('no conversation ID is fine: the server starts a new conversation', () => {
+  const { ids } = setup();
+  assert.deepEqual(ids.check({ conversationId: '', myId: 'u1', targetUserId: 'owner1' }), { conversationId: '' });
+  assert.deepEqual(ids.check({ myId: null, targetUserId: 'owner1' }), { conversationId: '' });
+});
+
+test('client-made conversation IDs are refused as not issued', () => {
+  const { ids } = setup();
+  for (const conversationId of ['my-chat-123', 'cv1.a.b', 'cv2.a.b.c', 'cv1.a.b.c.d']) {
+    assert.deepEqual(ids.check({ conversationId, myId: 'u1', targetUserId: 'owner1' }),
+      { status: 403, error: 'conversation_not_issued' }, conversationId);
+  }
+});
+
+test('an ID is bound to its subject and its target', () => {
+  const { ids } = setup();
+  const conversationId = ids.issue({ subject: 'u:u1', targetUserId: 'owner1' });
+  const forbidden = { status: 403, error: 'conversation_forbidden' };
+  assert.deepEqual(ids.check({ conversationId, myId: 'u2', targetUserId: 'owner1' }), forbidden);
+  assert.deepEqual(ids.check({ conversationId, myId: 'u1', targetUserId: 'owner2' }), forbidden);
+
+  const sessionToken = ids.issueSessionToken();
+  const anon = ids.issue({ subject: ids.callerSubject({ sessionToken }), targetUserId: 'owner1' });
+  assert.deepEqual(ids.check({ conversationId: anon, sessionToken, targetUserId: 'owner1' }), { conversationId: anon });
+  assert.deepEqual(ids.check({ conversationId: anon, sessionToken: ids.issueSessionToken(), targetUserId: 'owner1' }), forbidden);
+  assert.deepEqual(ids.check({ conversationId: anon, myId: 'u1', targetUserId: 'owner1' }), forbidden);
+  assert.deepEqual(ids.check({ conversationId: anon, targetUserId: 'owner1' }), { status: 401, error: 'session_token_required' });
+});
+
+test('a tampered signature, nonce or timestamp is rejected', () => {
+  const { ids } = setup();
+  const conversationId = ids.issue({ subject: 'u:u1', targetUserId: 'owner1' });
+  const [v, nonce, issuedAt, sig] = conversationId.split('.');
+  const check = cid => ids.check({ conversationId: cid, myId: 'u1', targetUserId: 'owner1' });
+  const forbidden = { status: 403, error: 'conversation_forbidden' };
+  assert.deepEqual(check(tamper(conversationId)), forbidden);
+  assert.deepEqual(check([v, nonce, issuedAt, sig.slice(0, -1)].join('.')), forbidden);
+  assert.deepEqual(check([v, `${nonce}x`, issuedAt, sig].join('.')), forbidden);
+  // pushing issuedAt forward to stretch the TTL breaks the signature
+  assert.deepEqual(check([v, nonce, (parseInt(issuedAt, 36) + HOUR).toString(36), sig].join('.')), forbidden);
+  assert.deepEqual(setup({ secret: 'other-secret' }).ids.check({ conversationId, myId: 'u1', targetUserId: 'owner1' }), forbidden);
+});
+
+test('IDs expire after ttlMs', () => {
+  const { ids, tick } = setup({ ttlMs: HOUR });
+  const conversationId = ids.issue({ subject: 'u:u1', targetUserId: 'owner1' });
+  tick(HOUR);
+  assert.deepEqual(ids.check({ conversationId, myId: 'u1', targetUserId: 'owner1' }), { conversationId });
+  tick(1);
+  assert.deepEqual(ids.check({ conversationId, myId: 'u1', targetUserId: 'owner1' }), { status: 403, error: 'conversation_expired' });
+});
+
+test('createConversationIds: CONVERSATION_SECRET makes IDs portable across instances', () => {
+  const env = { CONVERSATION_SECRET: 'shared', CONVERSATION_ID_TTL_MS: '60000' };
+  const a = createConversationIds(env);
+  const b = createConversationIds(env);
+  assert.equal(a.configError, null);
+  assert.equal(a.ttlMs, 60000);
+  const conversationId = a.issue({ subject: 'u:u1', targetUserId: 'owner1' });
+  assert.deepEqual(b.check({ conversationId, myId: 'u1', targetUserId: 'owner1' }), { conversationId });
+
+  const c = createConversationIds({});
+  assert.match(c.configError, /CONVERSATION_SECRET/);
+  assert.equal(c.ttlMs, 24 * HOUR);
+  assert.deepEqual(c.check({ conversationId, myId: 'u1', targetUserId: 'owner1' }), { status: 403, error: 'conversation_forbidden' });
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FUSION, fuseDeviceFixes } from '../modules/deviceFusion.js';
+
+const NOW = Date.UTC(2026, 3, 1, 12, 0, 0);
+const MIN = 60 * 1000;
+const fix = (deviceId, ageMs, accuracy) => ({ deviceId, latitude: 52.37, longitude: 4.89, timestamp: NOW - ageMs, accuracy });
+
+test('a single device wins by default, stale or not', () => {
+  const only = fix('phone', 3 * 60 * MIN, 500);
+  assert.deepEqual(fuseDeviceFixes([only], { now: NOW }), { fix: { ...only, primary: false }, reason: 'only_device', candidates: 1 });
+});
+
+test('no valid candidates -> null', () => {
+  assert.equal(fuseDeviceFixes([], { now: NOW }), null);
+  assert.equal(fuseDeviceFixes([{ deviceId: 'a', latitude: 95, longitude: 0, timestamp: NOW }, null, { deviceId: 'b' }], { now: NOW }), null);
+});
+
+test('invalid fixes are ignored and do not count as candidates', () => {
+  const fused = fuseDeviceFixes([fix('phone', MIN, 20), { deviceId: 'watch', latitude: 'x', longitude: 4, timestamp: NOW }], { now: NOW });
+  assert.equal(fused.fix.deviceId, 'phone');
+  assert.equal(fused.reason, 'only_device');
+});
+
+test('lowest uncertainty wins: accuracy plus drift since the fix', () => {
+  // phone: 50 m + 60 s x 1.5 m/s = 140 m; laptop: 20 m + 300 s x 1.5 = 470 m
+  const fused = fuseDeviceFixes([fix('laptop', 5 * MIN, 20), fix('phone', MIN, 50)], { now: NOW });
+  assert.equal(fused.fix.deviceId, 'phone');
+  assert.equal(fused.reason, 'lowest_uncertainty');
+  assert.equal(fused.candidates, 2);
+});
+
+test('a fix without accuracy counts as defaultAccuracyM', () => {
+  // watch: 100 m + 0; phone: 90 m + 30 s x 1.5 = 135 m
+  const fused = fuseDeviceFixes([fix('phone', 30 * 1000, 90), fix('watch', 0, undefined)], { now: NOW });
+  assert.equal(fused.fix.deviceId, 'watch');
+  assert.equal(fuseDeviceFixes([fix('phone', 30 * 1000, 90), fix('watch', 0, undefined)], { now: NOW, defaultAccuracyM: 200 }).fix.deviceId, 'phone');
+});
+
+test('the primary device counts primaryWeight of its uncertainty', () => {
+  // tablet: 30 m; phone: 50 m x 0.5 = 25 m once primary
+  const fixes = [fix('tablet', 0, 30), fix('phone', 0, 50)];
+  assert.equal(fuseDeviceFixes(fixes, { now: NOW }).fix.deviceId, 'tablet');
+  const fused = fuseDeviceFixes(fixes, { now: NOW, primaryDeviceId: 'phone' });
+  assert.equal(fused.fix.deviceId, 'phone');
+  assert.equal(fused.fix.primary, true);
+  assert.equal(fuseDeviceFixes(fixes, { now: NOW, primaryDeviceId: 'phone', primaryWeight: 1 }).fix.deviceId, 'tablet');
+});
+
+test('a fresh fix beats a stale one however precise the stale one was', () => {
+  const stale = fix('laptop', DEFAULT_FUSION.staleMs + MIN, 1);
+  const fresh = fix('phone', DEFAULT_FUSION.staleMs - MIN, 2000);
+  const fused = fuseDeviceFixes([stale, fresh], { now: NOW, driftMps: 0, primaryDeviceId: 'laptop' });
+  assert.equal(fused.fix.deviceId, 'phone');
+  assert.equal(fused.reason, 'lowest_uncertainty');
+});
+
+test('when every fix is stale the newest wins', () => {
+  const fused = fuseDeviceFixes([fix('laptop', 40 * MIN, 5), fix('phone', 20 * MIN, 900)], { now: NOW, staleMs: 10 * MIN });
+  assert.equal(fused.fix.deviceId, 'phone');
+  assert.equal(fused.reason, 'newest_stale');
+  assert.equal(fused.candidates, 2);
+});
+
+test('fixes from the future count as age 0', () => {
+  const fused = fuseDeviceFixes([fix('phone', -MIN, 30), fix('watch', 0, 40)], { now: NOW });
+  assert.equal(fused.fix.deviceId, 'phone');
+});
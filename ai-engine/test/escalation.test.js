@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LogNotifier } from '../modules/notifier.js';
+import { dispatchEscalation, maxUrgency, mergeEscalationSettings, normalizeUrgency } from '../modules/escalation.js';
+
+const HOUR = 60 * 60 * 1000;
+const AT = Date.parse('2026-03-02T10:15:00Z');
+
+// Key-value store with TTLs on a fake clock
+function memoryStore() {
+  const data = new Map();
+  let clock = AT;
+  const alive = key => data.has(key) && (!data.get(key).until || data.get(key).until > clock);
+  return {
+    tick: ms => { clock += ms; },
+    async get(key) { return alive(key) ? data.get(key).value : null; },
+    async set(key, value, { ttlMs } = {}) { data.set(key, { value, until: ttlMs ? clock + ttlMs : 0 }); },
+    async incr(key, { ttlMs } = {}) {
+      const n = (alive(key) ? data.get(key).value : 0) + 1;
+      data.set(key, { value: n, until: n === 1 && ttlMs ? clock + ttlMs : data.get(key).until });
+      return n;
+    },
+  };
+}
+
+const settings = { maxPerHour: 2, cooldownMinutes: 15 };
+let seq = 0;
+const escalation = (at = AT) => ({ id: `e${++seq}`, ownerId: 'owner1', at, urgency: 'high', notified: false, suppressed: null, delivery: null });
+
+test('a caller is notified once, then cools down', async () => {
+  const store = memoryStore();
+  const notifier = new LogNotifier({ silent: true });
+  const first = await dispatchEscalation(escalation(), settings, { store, notifier, callerKey: 'u:guest1' });
+  assert.equal(first.notified, true);
+  assert.deepEqual(first.delivery, { delivered: true, channel: 'log' });
+
+  const second = await dispatchEscalation(escalation(), settings, { store, notifier, callerKey: 'u:guest1' });
+  assert.equal(second.notified, false);
+  assert.equal(second.suppressed, 'cooldown');
+
+  store.tick(16 * 60 * 1000);
+  const later = await dispatchEscalation(escalation(AT + 16 * 60 * 1000), settings, { store, notifier, callerKey: 'u:guest1' });
+  assert.equal(later.notified, true);
+  assert.equal(notifier.sent.length, 2);
+});
+
+test('the owner gets at most maxPerHour notifications per clock hour', async () => {
+  const store = memoryStore();
+  const notifier = new LogNotifier({ silent: true });
+  const results = [];
+  for (const caller of ['a', 'b', 'c']) {
+    results.push(await dispatchEscalation(escalation(), settings, { store, notifier, callerKey: `u:${caller}` }));
+  }
+  assert.deepEqual(results.map(e => e.suppressed), [null, null, 'rate_limited']);
+  assert.equal(notifier.sent.length, 2);
+
+  store.tick(HOUR);
+  const nextHour = await dispatchEscalation(escalation(AT + HOUR), settings, { store, notifier, callerKey: 'u:d' });
+  assert.equal(nextHour.notified, true);
+});
+
+test('maxPerHour 0 records without notifying', async () => {
+  const notifier = new LogNotifier({ silent: true });
+  const e = await dispatchEscalation(escalation(), { maxPerHour: 0, cooldownMinutes: 0 }, { store: memoryStore(), notifier, callerKey: 'u:a' });
+  assert.equal(e.suppressed, 'rate_limited');
+  assert.equal(notifier.sent.length, 0);
+});
+
+test('a failing notifier is recorded as an undelivered escalation', async () => {
+  const notifier = { name: 'webhook', notify: async () => { throw new Error('socket hang up'); } };
+  const e = await dispatchEscalation(escalation(), settings, { store: memoryStore(), notifier, callerKey: 'u:a' });
+  assert.equal(e.notified, false);
+  assert.deepEqual(e.delivery, { delivered: false, channel: 'webhook', detail: 'socket hang up' });
+});
+
+test('urgency helpers', () => {
+  assert.equal(normalizeUrgency(' HIGH '), 'high');
+  assert.equal(normalizeUrgency('critical'), null);
+  assert.equal(maxUrgency('medium', 'high'), 'high');
+  assert.equal(maxUrgency(null, 'low'), 'low');
+});
+
+test('settings updates are validated, including private webhook hosts', () => {
+  const current = { enabled: true, threshold: 'high', maxPerHour: 3, cooldownMinutes: 15, webhookUrl: null, pushToken: null };
+  assert.deepEqual(mergeEscalationSettings(current, { threshold: 'medium', webhookUrl: 'https://hooks.example.com/x' }).settings,
+    { ...current, threshold: 'medium', webhookUrl: 'https://hooks.example.com/x' });
+  assert.deepEqual(mergeEscalationSettings(current, { threshold: 'low' }), { error: 'invalid_threshold' });
+  assert.deepEqual(mergeEscalationSettings(current, { maxPerHour: 1.5 }), { error: 'invalid_maxPerHour' });
+  assert.deepEqual(mergeEscalationSettings(current, { webhookUrl: 'http://hooks.example.com/x' }), { error: 'invalid_webhookUrl' });
+  assert.deepEqual(mergeEscalationSettings(current, { webhookUrl: 'https://10.0.0.8/x' }), { error: 'webhookUrl_private_address' });
+  assert.deepEqual(mergeEscalationSettings(current, { webhookUrl: 'https://[::1]/x' }), { error: 'webhookUrl_private_address' });
+  assert.deepEqual(mergeEscalationSettings(current, { pushToken: 'ExponentPushToken[abc]' }).settings.pushToken, 'ExponentPushToken[abc]');
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bearingDegrees, capTrack, compassPoint, downsampleTrack, haversineMeters, simplifyTrack } from '../modules/geo.js';
+
+const at = (latitude, longitude, timestamp = 0) => ({ latitude, longitude, timestamp });
+
+test('haversineMeters', () => {
+  assert.equal(haversineMeters(at(12.9, 77.6), at(12.9, 77.6)), 0);
+  // one degree of latitude is ~111.2 km
+  assert.ok(Math.abs(haversineMeters(at(0, 0), at(1, 0)) - 111195) < 5);
+  // Bengaluru -> Chennai, ~290 km
+  const d = haversineMeters(at(12.9716, 77.5946), at(13.0827, 80.2707));
+  assert.ok(d > 285000 && d < 295000, `${d}`);
+});
+
+test('bearingDegrees and compassPoint', () => {
+  assert.equal(Math.round(bearingDegrees(at(0, 0), at(1, 0))), 0);
+  assert.equal(Math.round(bearingDegrees(at(0, 0), at(0, 1))), 90);
+  assert.equal(Math.round(bearingDegrees(at(0, 0), at(-1, 0))), 180);
+  assert.equal(Math.round(bearingDegrees(at(0, 0), at(0, -1))), 270);
+  assert.equal(compassPoint(0), 'north');
+  assert.equal(compassPoint(44), 'north-east');
+  assert.equal(compassPoint(200), 'south');
+  assert.equal(compassPoint(350), 'north');
+});
+
+test('simplifyTrack drops points close to the line and keeps corners', () => {
+  const line = [at(12.9, 77.6), at(12.90001, 77.601), at(12.9, 77.602), at(12.91, 77.602)];
+  assert.deepEqual(simplifyTrack(line, 10), [line[0], line[2], line[3]]);
+  assert.deepEqual(simplifyTrack(line, 0), line);
+  assert.deepEqual(simplifyTrack(line.slice(0, 2), 1000), line.slice(0, 2));
+});
+
+test('downsampleTrack keeps one point per interval and the last point', () => {
+  const pts = [0, 10, 20, 30, 40, 45].map(s => at(12.9, 77.6, s * 1000));
+  assert.deepEqual(downsampleTrack(pts, 25000).map(p => p.timestamp / 1000), [0, 30, 45]);
+  assert.equal(downsampleTrack(pts, 0).length, pts.length);
+});
+
+test('capTrack picks evenly and keeps both ends', () => {
+  const pts = Array.from({ length: 11 }, (_, i) => at(12.9, 77.6, i));
+  assert.deepEqual(capTrack(pts, 3).map(p => p.timestamp), [0, 5, 10]);
+  assert.deepEqual(capTrack(pts, 1).map(p => p.timestamp), [10]);
+  assert.equal(capTrack(pts, 50).length, 11);
+});
@@ -0,0 +1,155 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CachedGeocoder, GeocoderError, OfflineGeocoder, createGeocoder } from '../modules/geocoder.js';
+
+const PLACES_FILE = new URL('./fixtures/places.json', import.meta.url).pathname;
+const dir = mkdtempSync(join(tmpdir(), 'geocoder-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// { get, set } with per-entry TTLs on a fake clock, like the store the server hands to createGeocoder.
+function memoryCache() {
+  const entries = new Map();
+  const cache = {
+    now: 0,
+    sets: [],
+    async get(key) {
+      const e = entries.get(key);
+      return e && e.expiresAt > cache.now ? e.value : null;
+    },
+    async set(key, value, { ttlMs }) {
+      cache.sets.push({ key, value, ttlMs });
+      entries.set(key, { value, expiresAt: cache.now + ttlMs });
+    },
+  };
+  return cache;
+}
+
+// Counts lookups; `answer(lat, lon)` / `answer(query)` may return null or throw.
+function countingGeocoder(answer) {
+  return {
+    name: 'fake',
+    configError: null,
+    calls: [],
+    async reverse(lat, lon) { this.calls.push([lat, lon]); return answer(lat, lon); },
+    async search(q) { this.calls.push(q); return answer(q); },
+  };
+}
+
+test('offline reverse: nearest place within its radius, else within maxDistanceM', async () => {
+  const g = new OfflineGeocoder({ file: PLACES_FILE });
+  assert.equal(g.configError, null);
+  const dam = await g.reverse(52.3733, 4.8930);
+  assert.equal(dam.address.city, 'Amsterdam');
+  assert.equal(dam.display_name, 'Dam Square, Dam, Centrum, Amsterdam, Netherlands, nl');
+  // ~450 m from Dam Square: outside its 300 m radius
+  assert.equal(await g.reverse(52.3771, 4.8926), null);
+  // ~1.2 km from Utrecht Centraal, which has no radius of its own
+  assert.equal((await g.reverse(52.1, 5.1101)).address.city, 'Utrecht');
+  assert.equal(await new OfflineGeocoder({ file: PLACES_FILE, maxDistanceM: 500 }).reverse(52.1, 5.1101), null);
+});
+
+test('offline search matches names and aliases, case-insensitively', async () => {
+  const g = new OfflineGeocoder({ file: PLACES_FILE });
+  assert.deepEqual(await g.search('utrecht centraal'), {
+    latitude: 52.0894, longitude: 5.1101, display_name: 'Utrecht Centraal, Utrecht, Netherlands, nl',
+  });
+  assert.equal((await g.search('meet me at De Dam')).latitude, 52.3731);
+  assert.equal(await g.search('Rotterdam'), null);
+  assert.equal(await g.search('  '), null);
+});
+
+test('offline: a { places: [...] } file works too', async () => {
+  const file = join(dir, 'wrapped.json');
+  writeFileSync(file, JSON.stringify({ places: [{ name: 'Somewhere', latitude: 1, longitude: 2 }] }));
+  const g = new OfflineGeocoder({ file });
+  assert.equal(g.configError, null);
+  assert.equal((await g.reverse(1, 2)).address.name, 'Somewhere');
+});
+
+test('offline: missing, unreadable or empty places file sets configError', async () => {
+  const broken = join(dir, 'broken.json');
+  writeFileSync(broken, '[{ "name": ');
+  const empty = join(dir, 'empty.json');
+  writeFileSync(empty, '[]');
+
+  assert.match(new OfflineGeocoder({ file: join(dir, 'nope.json') }).configError, /^GEOCODER_PLACES_FILE unreadable: .*ENOENT/);
+  assert.match(new OfflineGeocoder({ file: broken }).configError, /^GEOCODER_PLACES_FILE unreadable: /);
+  assert.equal(new OfflineGeocoder({ file: empty }).configError, 'GEOCODER_PLACES_FILE is missing or empty');
+  assert.equal(new OfflineGeocoder().configError, 'GEOCODER_PLACES_FILE is missing or empty');
+  const g = createGeocoder({ GEOCODER: 'offline', GEOCODER_PLACES_FILE: broken }, { cache: memoryCache() });
+  assert.match(g.configError, /unreadable/);
+  assert.equal(await g.reverse(52.3731, 4.8926), null);
+});
+
+test('cache: lookups on the same rounding grid cell hit the cache and query the rounded point', async () => {
+  const inner = countingGeocoder((lat, lon) => ({ display_name: `${lat},${lon}`, address: {} }));
+  const g = new CachedGeocoder(inner, memoryCache(), { decimals: 3 });
+  const a = await g.reverse(52.37312, 4.89261);
+  const b = await g.reverse(52.37349, 4.89299);
+  assert.deepEqual(inner.calls, [[52.373, 4.893]]);
+  assert.deepEqual(a, b);
+  await g.reverse(52.37351, 4.89261); // rounds to 52.374
+  assert.equal(inner.calls.length, 2);
+});
+
+test('cache: searches are keyed on the normalised query', async () => {
+  const inner = countingGeocoder(q => ({ latitude: 1, longitude: 2, display_name: q }));
+  const g = new CachedGeocoder(inner, memoryCache());
+  await g.search('Dam  Square');
+  await g.search(' dam square ');
+  assert.deepEqual(inner.calls, ['dam square']);
+  assert.equal(await g.search(''), null);
+  assert.equal(inner.calls.length, 1);
+});
+
+test('cache: hits expire after ttlMs, misses after the shorter missTtlMs', async () => {
+  const cache = memoryCache();
+  const inner = countingGeocoder(lat => (lat > 0 ? { display_name: 'found', address: {} } : null));
+  const g = new CachedGeocoder(inner, cache, { ttlMs: 1000, missTtlMs: 100 });
+
+  assert.equal((await g.reverse(1, 1)).display_name, 'found');
+  assert.equal(await g.reverse(-1, 1), null);
+  assert.deepEqual(cache.sets.map(s => s.ttlMs), [1000, 100]);
+
+  cache.now = 99;
+  await g.reverse(1, 1);
+  await g.reverse(-1, 1);
+  assert.equal(inner.calls.length, 2);
+
+  cache.now = 100; // the miss has expired, the hit has not
+  await g.reverse(1, 1);
+  assert.equal(await g.reverse(-1, 1), null);
+  assert.equal(inner.calls.length, 3);
+
+  cache.now = 1000;
+  await g.reverse(1, 1);
+  assert.equal(inner.calls.length, 4);
+});
+
+test('cache: failures are not cached', async () => {
+  const cache = memoryCache();
+  let down = true;
+  const inner = countingGeocoder(() => {
+    if (down) throw new GeocoderError('Geocoder unreachable');
+    return { display_name: 'back', address: {} };
+  });
+  const g = new CachedGeocoder(inner, cache);
+  await assert.rejects(g.reverse(1, 1), GeocoderError);
+  await assert.rejects(g.search('somewhere'), GeocoderError);
+  assert.deepEqual(cache.sets, []);
+
+  down = false;
+  assert.equal((await g.reverse(1, 1)).display_name, 'back');
+  assert.equal(inner.calls.length, 3);
+});
+
+test('cache: a broken cache store falls through to the geocoder', async () => {
+  const inner = countingGeocoder(() => ({ display_name: 'x', address: {} }));
+  const g = new CachedGeocoder(inner, { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } });
+  assert.equal((await g.reverse(1, 1)).display_name, 'x');
+  assert.equal((await g.reverse(1, 1)).display_name, 'x');
+  assert.equal(inner.calls.length, 2);
+});
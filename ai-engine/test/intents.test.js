@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  asksForAvailability, asksForLocation, asksForProximity, asksToLeaveMessage, guessUrgency, messageHasContent, pickCalendarRange,
+} from '../modules/intents.js';
+
+test('asksForLocation', () => {
+  assert.equal(asksForLocation('Where are you right now?'), true);
+  assert.equal(asksForLocation('aap kahan ho'), true);
+  assert.equal(asksForLocation('What time is the meeting?'), false);
+  assert.equal(asksForLocation(''), false);
+});
+
+test('asksToLeaveMessage and messageHasContent', () => {
+  assert.equal(asksToLeaveMessage('Can I leave a message?'), true);
+  assert.equal(asksToLeaveMessage('usko bata dena main late hoon'), true);
+  assert.equal(asksToLeaveMessage('How are you?'), false);
+  // a bare request carries nothing to pass on yet
+  assert.equal(messageHasContent('Can I leave a message?'), false);
+  assert.equal(messageHasContent('Tell him the plumber comes at five tomorrow'), true);
+});
+
+test('guessUrgency', () => {
+  assert.equal(guessUrgency('There was an accident, call me'), 'high');
+  assert.equal(guessUrgency('Please call me back today'), 'medium');
+  assert.equal(guessUrgency('Just saying hi'), 'low');
+  assert.equal(guessUrgency(undefined), 'low');
+});
+
+test('asksForProximity: "eta" only as a word', () => {
+  assert.equal(asksForProximity('How far are you from me?'), true);
+  assert.equal(asksForProximity("What's your ETA?"), true);
+  assert.equal(asksForProximity('kitni door ho'), true);
+  assert.equal(asksForProximity('Did you get the beta build?'), false);
+});
+
+test('asksForAvailability', () => {
+  assert.equal(asksForAvailability('Are you free tomorrow?'), true);
+  assert.equal(asksForAvailability('kab baat kar sakte hain'), true);
+  assert.equal(asksForAvailability('What did you have for lunch?'), false);
+});
+
+test('pickCalendarRange', () => {
+  assert.deepEqual(pickCalendarRange("What's on next week?"), { params: { range: 'next_week' }, label: 'next week' });
+  assert.deepEqual(pickCalendarRange('kal kya plan hai'), { params: { range: 'tomorrow' }, label: 'tomorrow' });
+  assert.deepEqual(pickCalendarRange('next 3 days'), { params: { days: '3' }, label: 'the next 3 days, starting today' });
+  assert.deepEqual(pickCalendarRange('next 90 days').params, { days: '31' });
+  // "next N days" wins over a range word in the same question
+  assert.deepEqual(pickCalendarRange('today and the next 2 days').params, { days: '2' });
+  assert.equal(pickCalendarRange('Any meetings?'), null);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FakeProvider, createLLMProvider, readEventStream } from '../modules/llmProvider.js';
+
+const chat = (...turns) => turns.map((content, i) => ({ role: i % 2 ? 'assistant' : 'user', content }));
+
+test('the fake replies from the first matching rule, case-insensitively, on the last user message', async () => {
+  const llm = new FakeProvider({ replies: [{ match: 'meeting', reply: "I'm in a meeting." }, { match: 'where', reply: 'At home.' }] });
+  assert.equal((await llm.complete({ messages: chat('Where are you?') })).text, 'At home.');
+  assert.equal((await llm.complete({ messages: chat('where?', 'At home.', 'In a MEETING?') })).text, "I'm in a meeting.");
+});
+
+test('without a matching rule the fake echoes the message', async () => {
+  const llm = new FakeProvider();
+  assert.equal((await llm.complete({ messages: [{ role: 'system', content: 'be brief' }, ...chat('ping')] })).text, 'You said: "ping"');
+  assert.equal((await new FakeProvider({ fallback: 'ok' }).complete({ messages: [] })).text, 'ok');
+});
+
+test('the fake streams its reply word by word and stops when aborted', async () => {
+  const llm = new FakeProvider({ replies: [{ match: 'hi', reply: 'Hello there, friend.' }] });
+  const tokens = [];
+  for await (const t of llm.stream({ messages: chat('hi') })) tokens.push(t);
+  assert.deepEqual(tokens, ['Hello ', 'there, ', 'friend.']);
+
+  const controller = new AbortController();
+  const seen = [];
+  await assert.rejects(async () => {
+    for await (const t of llm.stream({ messages: chat('hi'), signal: controller.signal })) {
+      seen.push(t);
+      controller.abort();
+    }
+  }, { name: 'AbortError' });
+  assert.deepEqual(seen, ['Hello ']);
+});
+
+test('LLM_PROVIDER=fake reads rules from LLM_FAKE_FILE', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'llm-fake-'));
+  try {
+    const file = join(dir, 'rules.json');
+    await writeFile(file, JSON.stringify({ replies: [{ match: 'lunch', reply: 'Sure.' }], fallback: 'Hmm.' }));
+    const llm = createLLMProvider({ LLM_PROVIDER: 'fake', LLM_FAKE_FILE: file });
+    assert.equal(llm.name, 'fake');
+    assert.equal(llm.configError, null);
+    assert.equal((await llm.complete({ messages: chat('lunch?') })).text, 'Sure.');
+    assert.equal((await llm.complete({ messages: chat('dinner?') })).text, 'Hmm.');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('readEventStream joins data lines and copes with events split across chunks', async () => {
+  const enc = new TextEncoder();
+  async function* body() {
+    yield enc.encode('data: {"a":1}\r\n\r\ndata: {"b"');
+    yield enc.encode(':2}\n\n: comment\n\ndata: line1\ndata: line2\n\ndata: [DONE]\n\n');
+  }
+  const events = [];
+  for await (const data of readEventStream(body())) events.push(data);
+  assert.deepEqual(events, ['{"a":1}', '{"b":2}', 'line1\nline2', '[DONE]']);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { screenFixes, validFix } from '../modules/locationFixes.js';
+
+const NOW = Date.parse('2026-03-02T04:10:00Z');
+const fix = (secondsAgo, extra = {}) => ({ latitude: 12.93, longitude: 77.62, timestamp: NOW - secondsAgo * 1000, ...extra });
+
+test('validFix', () => {
+  assert.equal(validFix(fix(0)), true);
+  assert.equal(validFix(null), false);
+  assert.equal(validFix({ ...fix(0), latitude: '12.93' }), false);
+  assert.equal(validFix({ ...fix(0), latitude: 91 }), false);
+  assert.equal(validFix({ ...fix(0), longitude: -181 }), false);
+  assert.equal(validFix({ ...fix(0), timestamp: NaN }), false);
+});
+
+test('accepted fixes come back sorted by timestamp', () => {
+  const { accepted, rejected } = screenFixes([fix(10), fix(30), fix(20)], { now: NOW });
+  assert.deepEqual(accepted.map(p => p.timestamp), [fix(30), fix(20), fix(10)].map(p => p.timestamp));
+  assert.deepEqual(rejected, []);
+});
+
+test("each rejection says why, with the point's index", () => {
+  const points = [
+    { latitude: 'x', longitude: 77.62, timestamp: NOW },
+    fix(-600),
+    fix(25 * 3600),
+    fix(120),
+    fix(30),
+  ];
+  const { accepted, rejected } = screenFixes(points, { now: NOW, watermark: NOW - 60 * 1000 });
+  assert.deepEqual(accepted.map(p => p.timestamp), [NOW - 30 * 1000]);
+  assert.deepEqual(rejected.map(r => [r.index, r.reason]), [
+    [0, 'invalid'], [1, 'future'], [2, 'too_old'], [3, 'out_of_order'],
+  ]);
+});
+
+test('small clock skew is tolerated', () => {
+  assert.equal(screenFixes([fix(-60)], { now: NOW }).accepted.length, 1);
+  assert.equal(screenFixes([fix(-60)], { now: NOW, clockSkewMs: 0 }).rejected[0].reason, 'future');
+});
+
+test('the age limit is configurable', () => {
+  assert.equal(screenFixes([fix(7200)], { now: NOW, maxAgeMs: 3600 * 1000 }).rejected[0].reason, 'too_old');
+});
+
+test('duplicate timestamps keep the most accurate fix', () => {
+  const { accepted, rejected } = screenFixes([fix(10, { accuracy: 30 }), fix(10, { accuracy: 5 }), fix(10, { accuracy: 5 })], { now: NOW });
+  assert.deepEqual(accepted, [fix(10, { accuracy: 5 })]);
+  assert.deepEqual(rejected.map(r => [r.index, r.reason]), [[0, 'duplicate'], [2, 'duplicate']]);
+});
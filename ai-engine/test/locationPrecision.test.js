@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addressForPrecision, coarsenFix, formatAddressLine, normalizePrecision } from '../modules/locationPrecision.js';
+
+const fix = { latitude: 52.373123, longitude: 4.892654, accuracy: 8, speed: 1.4, heading: 90, timestamp: 1 };
+const address = {
+  house_number: '1', road: 'Dam', suburb: 'Centrum', city: 'Amsterdam', state: 'Noord-Holland',
+  postcode: '1012 JS', country: 'Netherlands', country_code: 'nl',
+};
+
+test('normalizePrecision', () => {
+  assert.equal(normalizePrecision('street'), 'street');
+  assert.equal(normalizePrecision('precise'), 'hidden');
+  assert.equal(normalizePrecision(undefined, 'city'), 'city');
+});
+
+test('coarsenFix snaps to the precision grid and drops speed and heading', () => {
+  assert.deepEqual(coarsenFix(fix, 'exact'), fix);
+  assert.deepEqual(coarsenFix(fix, 'street'), { ...fix, latitude: 52.373, longitude: 4.893, accuracy: 111, speed: null, heading: null });
+  assert.deepEqual(coarsenFix(fix, 'city'), { ...fix, latitude: 52.4, longitude: 4.9, accuracy: 11132, speed: null, heading: null });
+  // a worse reported accuracy is kept
+  assert.equal(coarsenFix({ ...fix, accuracy: 5000 }, 'neighbourhood').accuracy, 5000);
+  assert.equal(coarsenFix({ ...fix, accuracy: undefined }, 'exact').accuracy, null);
+  assert.equal(coarsenFix(fix, 'hidden'), null);
+  assert.equal(coarsenFix(null, 'exact'), null);
+});
+
+test('addressForPrecision keeps only the fields a precision allows', () => {
+  assert.deepEqual(addressForPrecision(address, 'exact'), address);
+  assert.equal('house_number' in addressForPrecision(address, 'street'), false);
+  assert.equal(addressForPrecision(address, 'street').road, 'Dam');
+  assert.deepEqual(Object.keys(addressForPrecision(address, 'neighbourhood')), ['suburb', 'city', 'state', 'country', 'country_code']);
+  assert.deepEqual(Object.keys(addressForPrecision(address, 'city')), ['city', 'state', 'country', 'country_code']);
+  assert.equal(addressForPrecision(address, 'hidden'), null);
+});
+
+test('formatAddressLine', () => {
+  assert.equal(formatAddressLine(address), 'Dam, Centrum, Amsterdam, Noord-Holland, 1012 JS');
+  assert.equal(formatAddressLine(addressForPrecision(address, 'city')), 'Amsterdam, Noord-Holland');
+  assert.equal(formatAddressLine({ country: 'Netherlands' }), null);
+  assert.equal(formatAddressLine(null), null);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { DEFAULT_MOVEMENT_THRESHOLDS, classifyMovement, movementThresholdsFromEnv } from '../modules/movement.js';
+
+// Recorded tracks (oldest first, fixes as the phones sent them)
+const track = name => JSON.parse(readFileSync(new URL(`./fixtures/tracks/${name}.json`, import.meta.url), 'utf8'));
+
+test('a phone left on a desk is stationary', () => {
+  const m = classifyMovement(track('stationary'));
+  assert.equal(m.state, 'stationary');
+  assert.equal(m.speedMps, 0);
+  assert.equal(m.confidence, 1);
+});
+
+test('a walk sampled every 10 s is walking even though each hop is within GPS accuracy', () => {
+  const m = classifyMovement(track('walking'));
+  assert.equal(m.state, 'walking');
+  assert.ok(m.speedMps > 1 && m.speedMps < 2, `speed ${m.speedMps}`);
+});
+
+test('a drive with device speeds is driving through a stop at a signal', () => {
+  const m = classifyMovement(track('driving'));
+  assert.equal(m.state, 'driving');
+  assert.ok(m.speedMps > 10 && m.speedMps < 15, `speed ${m.speedMps}`);
+  assert.ok(m.confidence >= 0.8);
+});
+
+test('indoor GPS jitter with poor accuracy reads as stationary', () => {
+  const m = classifyMovement(track('gps-jitter'));
+  assert.equal(m.state, 'stationary');
+});
+
+test('input order does not matter', () => {
+  const points = track('walking');
+  const shuffled = points.map((p, i) => [(i * 7919) % points.length, p]).sort((a, b) => a[0] - b[0]).map(([, p]) => p);
+  assert.deepEqual(classifyMovement(shuffled), classifyMovement(points));
+});
+
+test('only the window before the newest fix counts', () => {
+  const drive = track('driving');
+  const desk = track('stationary');
+  const later = desk.map(p => ({ ...p, timestamp: p.timestamp + 60 * 60 * 1000 }));
+  assert.equal(classifyMovement([...drive, ...later]).state, 'stationary');
+});
+
+test('too few usable fixes is unknown', () => {
+  const [first] = track('walking');
+  assert.deepEqual(classifyMovement([first]), { state: 'unknown', speedMps: null, confidence: 0, samples: 0 });
+  assert.equal(classifyMovement([]).state, 'unknown');
+  assert.equal(classifyMovement([{ ...first, latitude: 'x' }, { ...first, timestamp: NaN }]).state, 'unknown');
+});
+
+test('faster than road traffic is in_transit', () => {
+  const t0 = Date.parse('2026-03-02T04:10:00Z');
+  const points = [0, 1, 2, 3].map(i => ({ latitude: 12.9 + i * 0.05, longitude: 77.6, timestamp: t0 + i * 30000, speed: 70 }));
+  assert.equal(classifyMovement(points).state, 'in_transit');
+});
+
+test('thresholds come from the environment with defaults for blanks and junk', () => {
+  const t = movementThresholdsFromEnv({ MOVEMENT_WINDOW_SEC: '120', MOVEMENT_WALKING_MAX_MPS: '', MOVEMENT_DRIVING_MAX_MPS: 'fast' });
+  assert.equal(t.windowMs, 120000);
+  assert.equal(t.walkingMaxMps, DEFAULT_MOVEMENT_THRESHOLDS.walkingMaxMps);
+  assert.equal(t.drivingMaxMps, DEFAULT_MOVEMENT_THRESHOLDS.drivingMaxMps);
+  assert.equal(classifyMovement(track('walking'), { ...t, walkingMaxMps: 1 }).state, 'driving');
+});
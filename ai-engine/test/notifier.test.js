@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { LogNotifier, WebhookNotifier, createNotifier, isPrivateAddress, publicOnlyLookup, webhookTargetProblem } from '../modules/notifier.js';
+
+const escalation = { id: 'e1', ownerId: 'owner1', urgency: 'high', caller: { name: 'Asha' }, transcript: 'Please call me, it is urgent' };
+const resolvesTo = (...ips) => async () => ips.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+test('private, loopback, link-local and mapped addresses are private', () => {
+  for (const ip of ['10.1.2.3', '172.16.0.1', '192.168.1.1', '127.0.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '[::1]', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '::FFFF:169.254.169.254', '::ffff:a9fe:a9fe', '::ffff:7f00:1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8', '::ffff:808:808', 'example.com', '']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('webhook targets: private hosts are refused, public ones accepted', async () => {
+  assert.equal(await webhookTargetProblem('https://hooks.example.com/x', { lookup: resolvesTo('93.184.216.34') }), null);
+  assert.equal(await webhookTargetProblem('https://93.184.216.34/x'), null);
+  assert.equal(await webhookTargetProblem('https://localhost/x'), 'private address');
+  assert.equal(await webhookTargetProblem('https://api.localhost/x'), 'private address');
+  assert.equal(await webhookTargetProblem('https://127.0.0.1/x'), 'private address');
+  assert.equal(await webhookTargetProblem('https://[::ffff:169.254.169.254]/x'), 'private address');
+  assert.equal(await webhookTargetProblem('https://internal.example.com/x', { lookup: resolvesTo('93.184.216.34', '10.0.0.5') }), 'private address');
+  assert.equal(await webhookTargetProblem('not a url'), 'invalid url');
+  const nxdomain = async () => { throw Object.assign(new Error('nope'), { code: 'ENOTFOUND' }); };
+  assert.equal(await webhookTargetProblem('https://gone.example.com/x', { lookup: nxdomain }), 'unresolvable host (ENOTFOUND)');
+});
+
+test('the connect-time lookup refuses a host that rebinds to a private address', async () => {
+  let calls = 0;
+  const rebinding = (host, opts, cb) => cb(null, [{ address: ++calls === 1 ? '93.184.216.34' : '127.0.0.1', family: 4 }]);
+  const lookup = publicOnlyLookup(rebinding);
+  const first = await new Promise((resolve, reject) => lookup('rebind.example.com', {}, (e, a, f) => (e ? reject(e) : resolve([a, f]))));
+  assert.deepEqual(first, ['93.184.216.34', 4]);
+  await assert.rejects(new Promise((resolve, reject) => lookup('rebind.example.com', { all: true }, (e, a) => (e ? reject(e) : resolve(a)))),
+    { code: 'EPRIVATE' });
+});
+
+test('an owner webhook only connects through the checked lookup', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => { received.push({ host: req.headers.host, signature: req.headers['x-vm-signature'], body }); res.end('ok'); });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const url = `http://hooks.example.com:${port}/escalate`;
+  try {
+    // The DNS answer changed to a private address after the pre-flight check: nothing is sent
+    const rebound = new WebhookNotifier({
+      targetProblem: async () => null,
+      lookup: publicOnlyLookup((host, opts, cb) => cb(null, [{ address: '127.0.0.1', family: 4 }])),
+    });
+    assert.deepEqual(await rebound.notify(escalation, { webhookUrl: url }),
+      { delivered: false, channel: 'webhook', detail: 'webhook refused: private address' });
+    assert.equal(received.length, 0);
+
+    // Same request through a resolver that is allowed to reach the test server: signed, original Host header
+    const allowed = new WebhookNotifier({
+      secret: 's3cret',
+      targetProblem: async () => null,
+      lookup: (host, opts, cb) => (opts.all ? cb(null, [{ address: '127.0.0.1', family: 4 }]) : cb(null, '127.0.0.1', 4)),
+    });
+    assert.deepEqual(await allowed.notify(escalation, { webhookUrl: url }), { delivered: true, channel: 'webhook' });
+    assert.equal(received.length, 1);
+    assert.equal(received[0].host, `hooks.example.com:${port}`);
+    assert.deepEqual(JSON.parse(received[0].body), { type: 'escalation', escalation });
+    assert.match(received[0].signature, /^[0-9a-f]{64}$/);
+  } finally {
+    server.close();
+  }
+});
+
+test('an owner webhook on a private address is refused before sending', async () => {
+  const notifier = new WebhookNotifier();
+  assert.deepEqual(await notifier.notify(escalation, { webhookUrl: 'https://169.254.169.254/latest' }),
+    { delivered: false, channel: 'webhook', detail: 'webhook refused: private address' });
+  assert.deepEqual(await notifier.notify(escalation, {}), { delivered: false, channel: 'webhook', detail: 'no webhook url' });
+});
+
+test('LogNotifier records escalations and keeps the last few', async () => {
+  const log = new LogNotifier({ keep: 2, silent: true });
+  assert.deepEqual(await log.notify(escalation, { threshold: 'high' }), { delivered: true, channel: 'log' });
+  await log.notify({ ...escalation, id: 'e2' });
+  await log.notify({ ...escalation, id: 'e3' });
+  assert.deepEqual(log.sent.map(s => s.escalation.id), ['e2', 'e3']);
+  assert.equal(createNotifier({}).name, 'log');
+  assert.equal(createNotifier({ ESCALATION_NOTIFIER: 'webhook' }).name, 'webhook');
+});
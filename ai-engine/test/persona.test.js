@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPersonaCard, buildSystemPrompt, coalesceName, pickAllowedLanguage, sanitizeVoiceId } from '../modules/persona.js';
+
+test('buildPersonaCard lists only the fields that are set', () => {
+  assert.equal(buildPersonaCard(null), '');
+  assert.equal(buildPersonaCard({ character: 'Calm', languages: ['English', 'Hindi'], timeZone: 'Asia/Kolkata' }),
+    'Character: Calm\nLanguages: English, Hindi\nTime zone: Asia/Kolkata');
+});
+
+test('pickAllowedLanguage: Hindi when detected, else English', () => {
+  assert.equal(pickAllowedLanguage('hi'), 'Hindi');
+  assert.equal(pickAllowedLanguage('hindi'), 'Hindi');
+  assert.equal(pickAllowedLanguage('fr'), 'English');
+  assert.equal(pickAllowedLanguage(undefined), 'English');
+});
+
+test('coalesceName and sanitizeVoiceId', () => {
+  assert.deepEqual(coalesceName(' Asha Rao ', ''), { full: 'Asha Rao', short: 'Kavish' });
+  assert.deepEqual(coalesceName('', 'Ash', 'Owner', 'O'), { full: 'Owner', short: 'Ash' });
+  assert.equal(sanitizeVoiceId('abc_DEF-123'), 'abc_DEF-123');
+  assert.equal(sanitizeVoiceId('short'), '');
+  assert.equal(sanitizeVoiceId('voice id with spaces'), '');
+  assert.equal(sanitizeVoiceId(undefined), '');
+});
+
+test('buildSystemPrompt', () => {
+  const first = buildSystemPrompt({ full: 'Asha Rao', short: 'Asha' }, 'Hindi', { firstTurn: true }, 'No events.', 'Character: Calm');
+  assert.match(first, /You are "Asha Rao" \(preferred name: "Asha"\)\. Speak ONLY in Hindi\./);
+  assert.match(first, /Current calendar context: No events\./);
+  assert.match(first, /Persona profile:\nCharacter: Calm/);
+  assert.match(first, /very first reply/);
+  const later = buildSystemPrompt({ full: 'Asha Rao', short: 'Asha' }, 'English', { firstTurn: false }, 'No events.', '');
+  assert.doesNotMatch(later, /very first reply|Persona profile/);
+  assert.equal(later.includes('\n\n'), false);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FakeSTT, createSTTProvider } from '../modules/sttProvider.js';
+
+const audio = Buffer.from('RIFF....WAVEfmt fake audio');
+
+test('the fake STT returns its configured text without fixtures', async () => {
+  const stt = createSTTProvider({ STT_PROVIDER: 'fake', STT_FAKE_TEXT: 'Is she free today?', STT_FAKE_LANGUAGE: 'hi' });
+  assert.equal(stt.name, 'fake');
+  assert.equal(stt.configError, null);
+  assert.deepEqual(await stt.transcribe({ buffer: audio }), { text: 'Is she free today?', language: 'hi', segments: [] });
+});
+
+test("the fake STT reads the fixture for the audio's sha256, then default.json", async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'stt-fake-'));
+  try {
+    const sha = createHash('sha256').update(audio).digest('hex');
+    await writeFile(join(dir, `${sha}.json`), JSON.stringify({
+      text: '  Call me back  ',
+      language: 'en',
+      segments: [{ start: '0.5', end: 1.25, text: ' Call me back ' }, { text: '' }],
+    }));
+    await writeFile(join(dir, 'default.json'), JSON.stringify({ text: 'Anything else' }));
+    const stt = new FakeSTT({ fixturesDir: dir, language: 'kn' });
+
+    assert.deepEqual(await stt.transcribe({ buffer: audio }), {
+      text: 'Call me back',
+      language: 'en',
+      segments: [{ start: 0.5, end: 1.25, text: 'Call me back' }, { start: 0, end: 0, text: '' }],
+    });
+    assert.deepEqual(await stt.transcribe({ buffer: Buffer.from('other audio') }), { text: 'Anything else', language: 'kn', segments: [] });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
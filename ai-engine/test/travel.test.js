@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { longitudeTimeZone, pickHome, travelStateFor, travelText } from '../modules/travel.js';
+
+const HOME = { name: 'Home', kind: 'home', latitude: 12.9352, longitude: 77.6245, radiusM: 150 };
+const OFFICE = { name: 'Office', kind: 'work', latitude: 12.9719, longitude: 77.6412, radiusM: 200 };
+const GYM = { name: 'Gym', kind: 'other', latitude: 12.9301, longitude: 77.6801, radiusM: 100 };
+const margin = p => Math.max(50, p.radiusM * 0.25);
+const state = (fix, home, extra = {}) =>
+  travelStateFor({ fix: { timestamp: 0, ...fix }, home, places: [HOME, OFFICE], nearbyM: 25000, homeMarginM: margin, ...extra });
+
+test('a saved home place wins over the homeAddress anchor', () => {
+  assert.equal(pickHome([OFFICE, HOME], { latitude: 1, longitude: 2 }, { radiusM: 150 }), HOME);
+});
+
+test('the geocoded homeAddress is home when no place is', () => {
+  assert.deepEqual(pickHome([OFFICE], { latitude: 12.93, longitude: 77.62 }, { radiusM: 150 }),
+    { name: 'Home', kind: 'home', latitude: 12.93, longitude: 77.62, radiusM: 150 });
+});
+
+test('without a home place or anchor there is no home, even with other saved places', () => {
+  assert.equal(pickHome([OFFICE, GYM], null, { radiusM: 150 }), null);
+  assert.equal(pickHome([OFFICE], { address: '', latitude: null, longitude: null }, { radiusM: 150 }), null);
+  assert.equal(pickHome([], null, { radiusM: 150 }), null);
+  // ...so being at the office is no travel state rather than "at home"
+  const atOffice = { latitude: OFFICE.latitude, longitude: OFFICE.longitude };
+  assert.equal(state(atOffice, pickHome([OFFICE, GYM], null, { radiusM: 150 })), null);
+});
+
+test('home, nearby, out of town and abroad', () => {
+  assert.equal(state({ latitude: 12.9355, longitude: 77.6249 }, HOME).state, 'home');
+  assert.equal(state({ latitude: OFFICE.latitude, longitude: OFFICE.longitude }, HOME).state, 'nearby');
+  assert.equal(state({ latitude: 13.0827, longitude: 80.2707 }, HOME).state, 'out_of_town'); // Chennai
+  const dubai = state({ latitude: 25.2048, longitude: 55.2708 }, HOME, {
+    here: { address: { city: 'Dubai', country: 'United Arab Emirates', country_code: 'ae' } },
+    homeGeo: { address: { country_code: 'in' } },
+    profileTimeZone: 'Asia/Kolkata',
+  });
+  assert.equal(dubai.state, 'abroad');
+  assert.equal(dubai.city, 'Dubai');
+  assert.equal(dubai.timeZone, 'Etc/GMT-4');
+  assert.equal(dubai.timeZoneSource, 'longitude');
+});
+
+test('local time zone: device, then profile at home, then longitude', () => {
+  const chennai = { latitude: 13.0827, longitude: 80.2707 };
+  assert.equal(state({ ...chennai, timeZone: 'Asia/Kolkata' }, HOME).timeZoneSource, 'device');
+  assert.equal(state(chennai, HOME, { profileTimeZone: 'Asia/Kolkata' }).timeZoneSource, 'profile');
+  assert.equal(state({ ...chennai, timeZone: 'Not/AZone' }, HOME).timeZoneSource, 'longitude');
+  assert.equal(longitudeTimeZone(0), 'Etc/GMT');
+  assert.equal(longitudeTimeZone(-74), 'Etc/GMT+5');
+});
+
+test('travelText gives the distance from home only at neighbourhood precision or finer', () => {
+  const now = Date.parse('2026-03-02T06:30:00Z');
+  const t = { state: 'out_of_town', homeName: 'Home', fromHomeM: 291000, city: 'Chennai', timeZone: 'Asia/Kolkata', timeZoneSource: 'profile' };
+  assert.equal(travelText(t, { profileTimeZone: 'Asia/Kolkata', precision: 'street', now }),
+    'Currently out of town in Chennai (about 290 km from Home). Local time is 12:00 PM.');
+  assert.equal(travelText(t, { profileTimeZone: 'Asia/Kolkata', precision: 'city', now }),
+    'Currently out of town in Chennai. Local time is 12:00 PM.');
+  assert.equal(travelText(null), null);
+});
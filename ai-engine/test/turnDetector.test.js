@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TurnDetector, frameRms, pcm16ToWav } from '../modules/turnDetector.js';
+
+const RATE = 16000;
+const FRAME_MS = 20;
+const FRAME_SAMPLES = RATE * FRAME_MS / 1000;
+
+// PCM16LE: a 440 Hz tone at `level` (0..1) for speech, zeros for silence.
+function tone(ms, level = 0.3) {
+  const samples = Math.round(RATE * ms / 1000);
+  const buf = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buf.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / RATE) * level * 32767), i * 2);
+  }
+  return buf;
+}
+const silence = ms => Buffer.alloc(Math.round(RATE * ms / 1000) * 2);
+
+// Push `pcm` one frame at a time and note at which millisecond (end of the frame) each event came out.
+function feed(detector, pcm, { startMs = 0, agentSpeaking = false } = {}) {
+  const out = [];
+  const frameBytes = FRAME_SAMPLES * 2;
+  for (let off = 0; off < pcm.length; off += frameBytes) {
+    const at = startMs + (off / frameBytes + 1) * FRAME_MS;
+    for (const ev of detector.push(pcm.subarray(off, off + frameBytes), { agentSpeaking })) out.push({ at, ...ev });
+  }
+  return out;
+}
+
+test('frameRms: silence is 0, a tone is about level/sqrt(2)', () => {
+  assert.equal(frameRms(silence(20)), 0);
+  assert.ok(Math.abs(frameRms(tone(20, 0.3)) - 0.3 / Math.SQRT2) < 0.01);
+});
+
+test('silence, speech, trailing silence -> speech_start after startMs, turn after silenceMs', () => {
+  const d = new TurnDetector({ sampleRate: RATE, frameMs: FRAME_MS });
+  const events = feed(d, Buffer.concat([silence(500), tone(1000), silence(1000)]));
+
+  assert.deepEqual(events.map(e => e.type), ['speech_start', 'turn']);
+  const [start, turn] = events;
+  assert.equal(start.at, 500 + 60);
+  assert.equal(start.bargeIn, false);
+  assert.equal(turn.at, 1500 + 700);
+  // 300 ms of pre-roll (the last 60 ms of it already voiced), the rest of the speech, the trailing silence
+  assert.equal(turn.audio.length, (240 + 1000 + 700) * RATE / 1000 * 2);
+  assert.equal(frameRms(turn.audio.subarray(0, FRAME_SAMPLES * 2)), 0);
+});
+
+test('a short pause inside a turn does not end it', () => {
+  const d = new TurnDetector({ sampleRate: RATE, frameMs: FRAME_MS });
+  const events = feed(d, Buffer.concat([tone(400), silence(400), tone(400), silence(800)]));
+  assert.deepEqual(events.map(e => e.type), ['speech_start', 'turn']);
+  assert.equal(events[1].at, 1200 + 700);
+});
+
+test('chunk boundaries do not matter', () => {
+  const pcm = Buffer.concat([silence(200), tone(600), silence(800)]);
+  const whole = new TurnDetector().push(pcm);
+  const d = new TurnDetector();
+  const pieces = [];
+  for (let off = 0; off < pcm.length; off += 333) pieces.push(...d.push(pcm.subarray(off, off + 333)));
+  assert.deepEqual(pieces.map(e => e.type), whole.map(e => e.type));
+  assert.deepEqual(pieces[1].audio, whole[1].audio);
+});
+
+test('a noise burst shorter than minSpeechMs is discarded', () => {
+  const d = new TurnDetector({ sampleRate: RATE, frameMs: FRAME_MS });
+  const events = feed(d, Buffer.concat([silence(200), tone(100), silence(1000)]));
+  assert.deepEqual(events.map(e => e.type), ['speech_start', 'speech_end']);
+  assert.equal(events[1].discarded, true);
+  assert.equal(events[1].at, 300 + 700);
+});
+
+test('quiet audio below the threshold never starts speech', () => {
+  const d = new TurnDetector({ sampleRate: RATE, frameMs: FRAME_MS, speechThreshold: 0.05 });
+  assert.deepEqual(feed(d, tone(2000, 0.02)), []);
+});
+
+test('barge-in: speech over the agent reply is flagged, speech in a pause is not', () => {
+  const d = new TurnDetector({ sampleRate: RATE, frameMs: FRAME_MS });
+  const over = feed(d, Buffer.concat([silence(200), tone(500), silence(800)]), { agentSpeaking: true });
+  assert.equal(over[0].type, 'speech_start');
+  assert.equal(over[0].bargeIn, true);
+  assert.equal(over[0].at, 200 + 60);
+
+  const after = feed(d, Buffer.concat([tone(500), silence(800)]), { agentSpeaking: false });
+  assert.equal(after[0].type, 'speech_start');
+  assert.equal(after[0].bargeIn, false);
+});
+
+test('maxTurnMs cuts a turn that never goes quiet, then detection starts over', () => {
+  const d = new TurnDetector({ sampleRate: RATE, frameMs: FRAME_MS, maxTurnMs: 2000 });
+  const events = feed(d, tone(5000));
+  assert.deepEqual(events.map(e => e.type), ['speech_start', 'turn', 'speech_start', 'turn', 'speech_start']);
+  // the turn buffer holds the 60 ms start run plus frames until it reaches maxTurnMs
+  assert.equal(events[1].at, 60 + 2000 - 60);
+  assert.equal(events[1].audio.length, 2000 * RATE / 1000 * 2);
+  assert.equal(events[2].at, events[1].at + 60);
+});
+
+test('pcm16ToWav writes a mono 16-bit PCM header', () => {
+  const pcm = tone(100);
+  const wav = pcm16ToWav(pcm, 8000);
+  assert.equal(wav.length, 44 + pcm.length);
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.readUInt32LE(4), 36 + pcm.length);
+  assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+  assert.equal(wav.toString('ascii', 12, 16), 'fmt ');
+  assert.equal(wav.readUInt32LE(16), 16);
+  assert.equal(wav.readUInt16LE(20), 1);     // PCM
+  assert.equal(wav.readUInt16LE(22), 1);     // mono
+  assert.equal(wav.readUInt32LE(24), 8000);
+  assert.equal(wav.readUInt32LE(28), 16000); // byte rate
+  assert.equal(wav.readUInt16LE(32), 2);     // block align
+  assert.equal(wav.readUInt16LE(34), 16);
+  assert.equal(wav.toString('ascii', 36, 40), 'data');
+  assert.equal(wav.readUInt32LE(40), pcm.length);
+  assert.deepEqual(wav.subarray(44), pcm);
+});
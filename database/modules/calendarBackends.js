@@ -0,0 +1,176 @@
+import { readFileSync } from 'fs';
+
+// Calendar backends behind one interface, picked by config (CALENDAR_PROVIDER):
+//   listEvents(opts) -> one page { items, nextPageToken }   (Google-shaped events)
+//   syncEvents({ calendarId, syncToken } | { calendarId, timeMin, timeMax }) -> { items, nextSyncToken }
+//     incremental when given a syncToken (deleted events come back with status 'cancelled'); an expired
+//     token throws with code 410 and the caller starts over with a full sync
+//   listCalendars(refreshToken) -> [{ id, summary, primary, accessRole, backgroundColor }]
+// `configError` is set when the backend can't work with the current config.
+
+export const CAL_SYNC_MAX_EVENTS = 2500;
+
+export function eventBounds(e) {
+  const start = Date.parse(e.start?.dateTime || e.start?.date || '');
+  const end = Date.parse(e.end?.dateTime || e.end?.date || '');
+  return { start, end: Number.isFinite(end) ? end : start };
+}
+// Same overlap rule as events.list: ends after timeMin, starts before timeMax
+export function eventOverlaps(e, timeMin, timeMax) {
+  const { start, end } = eventBounds(e);
+  return (!timeMin || end > Date.parse(timeMin)) && (!timeMax || start < Date.parse(timeMax));
+}
+export function byEventStart(a, b) {
+  return eventBounds(a).start - eventBounds(b).start;
+}
+
+// Google Calendar. `calendarFor(refreshToken)` returns an authorized googleapis calendar client.
+export class GoogleCalendarBackend {
+  constructor({ calendarFor }) {
+    this.name = 'google';
+    this.calendarFor = calendarFor;
+    this.configError = null;
+  }
+
+  async listEvents({ refreshToken, calendarId, timeMin, timeMax, timeZone, maxResults, q, pageToken }) {
+    const { data } = await this.calendarFor(refreshToken).events.list({
+      calendarId,
+      timeMin,
+      timeMax,
+      maxResults,
+      singleEvents: true,
+      orderBy: 'startTime',
+      timeZone,
+      ...(q ? { q } : {}),
+      ...(pageToken ? { pageToken } : {}),
+    });
+    return { items: data?.items || [], nextPageToken: data?.nextPageToken || null };
+  }
+
+  // Only the full sync is bounded by timeMin/timeMax: incremental results are every change since the token,
+  // wherever the event lies, so callers filter them to their own window.
+  async syncEvents({ refreshToken, calendarId, syncToken, timeMin, timeMax }) {
+    const calendar = this.calendarFor(refreshToken);
+    const items = [];
+    let pageToken;
+    let nextSyncToken = null;
+    do {
+      const { data } = await calendar.events.list({
+        calendarId,
+        singleEvents: true,
+        maxResults: 250,
+        ...(syncToken ? { syncToken } : { timeMin, timeMax }),
+        ...(pageToken ? { pageToken } : {}),
+      });
+      items.push(...(data?.items || []));
+      pageToken = data?.nextPageToken;
+      nextSyncToken = data?.nextSyncToken || nextSyncToken;
+    } while (pageToken && items.length < CAL_SYNC_MAX_EVENTS);
+    return { items, nextSyncToken: pageToken ? null : nextSyncToken };
+  }
+
+  async listCalendars(refreshToken) {
+    const out = [];
+    let pageToken;
+    do {
+      const { data } = await this.calendarFor(refreshToken).calendarList.list({
+        minAccessRole: 'freeBusyReader',
+        maxResults: 250,
+        ...(pageToken ? { pageToken } : {}),
+      });
+      for (const c of data?.items || []) {
+        out.push({
+          id: c.id,
+          summary: c.summaryOverride || c.summary || c.id,
+          primary: !!c.primary,
+          accessRole: c.accessRole,
+          backgroundColor: c.backgroundColor || null,
+        });
+      }
+      pageToken = data?.nextPageToken;
+    } while (pageToken);
+    return out;
+  }
+}
+
+// Local fake for tests: { calendars: [{ id, summary, primary? }], events: { <calendarId>: [Google-shaped events] } },
+// from `data` or re-read from `file` on every call so a test can edit it between requests. Like Google, sync tokens
+// return every change since they were issued (also outside the first sync's bounds); deleted events come back as
+// { id, status: 'cancelled' }. expireSyncTokens() makes the next incremental sync fail with 410.
+export class FakeCalendarBackend {
+  constructor({ file = '', data = null } = {}) {
+    this.name = 'fake';
+    this.file = file;
+    this.data = data;
+    this.snapshots = new Map(); // syncToken -> { calendarId, events: Map(id -> JSON) }
+    this.seq = 0;
+    this.configError = file || data ? null : 'Missing CALENDAR_FAKE_FILE';
+  }
+
+  load() {
+    const data = this.data || JSON.parse(readFileSync(this.file, 'utf8'));
+    return { calendars: data.calendars || [], events: data.events || {} };
+  }
+
+  eventsOf(data, calendarId) {
+    const id = calendarId === 'primary' ? data.calendars.find(c => c.primary)?.id || 'primary' : calendarId;
+    if (!data.events[id] && !data.calendars.some(c => c.id === id)) {
+      throw Object.assign(new Error('Not Found'), { code: 404 });
+    }
+    return data.events[id] || [];
+  }
+
+  expireSyncTokens() {
+    this.snapshots.clear();
+  }
+
+  async listEvents({ calendarId, timeMin, timeMax, maxResults = 250, q, pageToken }) {
+    const needle = q ? q.toLowerCase() : '';
+    const all = this.eventsOf(this.load(), calendarId)
+      .filter(e => e.status !== 'cancelled' && eventOverlaps(e, timeMin, timeMax))
+      .filter(e => !needle || JSON.stringify([e.summary, e.description, e.location, e.attendees]).toLowerCase().includes(needle))
+      .sort(byEventStart);
+    const offset = Number(pageToken) || 0;
+    return {
+      items: all.slice(offset, offset + maxResults),
+      nextPageToken: offset + maxResults < all.length ? String(offset + maxResults) : null,
+    };
+  }
+
+  async syncEvents({ calendarId, syncToken, timeMin, timeMax }) {
+    const prev = syncToken ? this.snapshots.get(syncToken) : null;
+    if (syncToken && prev?.calendarId !== calendarId) {
+      throw Object.assign(new Error('Sync token is no longer valid'), { code: 410 });
+    }
+    const all = this.eventsOf(this.load(), calendarId);
+    const current = new Map(all.map(e => [e.id, JSON.stringify(e)]));
+    let items;
+    if (prev) {
+      items = [...current].filter(([id, json]) => prev.events.get(id) !== json).map(([, json]) => JSON.parse(json));
+      for (const id of prev.events.keys()) if (!current.has(id)) items.push({ id, status: 'cancelled' });
+      this.snapshots.delete(syncToken);
+    } else {
+      items = all.filter(e => e.status !== 'cancelled' && eventOverlaps(e, timeMin, timeMax));
+    }
+    const nextSyncToken = `fake-${++this.seq}`;
+    this.snapshots.set(nextSyncToken, { calendarId, events: current });
+    return { items, nextSyncToken };
+  }
+
+  async listCalendars() {
+    return this.load().calendars.map(c => ({
+      id: c.id,
+      summary: c.summary || c.id,
+      primary: !!c.primary,
+      accessRole: c.accessRole || 'owner',
+      backgroundColor: null,
+    }));
+  }
+}
+
+// CALENDAR_PROVIDER: google (default) | fake (CALENDAR_FAKE_FILE)
+export function createCalendarBackend(env = process.env, { calendarFor } = {}) {
+  const kind = String(env.CALENDAR_PROVIDER || 'google').toLowerCase();
+  if (kind === 'fake') return new FakeCalendarBackend({ file: env.CALENDAR_FAKE_FILE || '' });
+  return new GoogleCalendarBackend({ calendarFor });
+}
@@ -0,0 +1,98 @@
+import { CAL_SYNC_MAX_EVENTS, byEventStart, eventOverlaps } from './calendarBackends.js';
+
+// Per user and calendar, the events of [now - backDays, now + forwardDays] plus the backend's syncToken, in
+// `collection` (a MongoDB collection, or anything with findOne/updateOne/deleteMany). Reads older than ttlMs
+// refresh it incrementally (a full sync when the token expired, or once the window is a day old). Docs expire
+// `retentionMs` after their last sync (TTL index on expiresAt). ttlMs=0 turns the cache off.
+
+const DAY_MS = 24 * 3600 * 1000;
+const CACHED_EVENT_FIELDS = [
+  'id', 'iCalUID', 'status', 'summary', 'description', 'location', 'organizer', 'attendees',
+  'start', 'end', 'transparency', 'visibility', 'updated',
+];
+function cacheableEvent(e) {
+  return Object.fromEntries(CACHED_EVENT_FIELDS.filter(k => e[k] !== undefined).map(k => [k, e[k]]));
+}
+
+export function createCalendarCache({
+  collection,
+  backend,
+  ttlMs = 60 * 1000,
+  backDays = 7,
+  forwardDays = 60,
+  retentionMs = DAY_MS,
+  now = () => Date.now(),
+}) {
+  async function sync(user, calendarId) {
+    const userId = String(user._id);
+    const at = now();
+    const doc = await collection.findOne({ userId, calendarId });
+    if (doc && at - doc.syncedAt.getTime() < ttlMs) return doc;
+
+    let events = null;
+    let syncToken = null;
+    let { windowStart, windowEnd } = doc || {};
+    const windowFresh = doc && at - windowStart.getTime() < (backDays + 1) * DAY_MS;
+    if (doc?.syncToken && windowFresh) {
+      try {
+        const delta = await backend.syncEvents({ refreshToken: user.refreshToken, calendarId, syncToken: doc.syncToken });
+        // A syncToken returns every change since it was issued, wherever the event lies; only keep the
+        // ones in our window so they can't crowd in-window events out of the CAL_SYNC_MAX_EVENTS cap.
+        const from = windowStart.toISOString();
+        const to = windowEnd.toISOString();
+        const byId = new Map(doc.events.map(e => [e.id, e]));
+        for (const e of delta.items) {
+          if (e.status !== 'cancelled' && eventOverlaps(e, from, to)) byId.set(e.id, cacheableEvent(e));
+          else byId.delete(e.id); // deleted, or moved out of the window
+        }
+        events = [...byId.values()];
+        syncToken = delta.nextSyncToken;
+      } catch (e) {
+        if (e?.code !== 410) throw e; // 410 Gone: token expired -> full sync below
+      }
+    }
+    if (!events) {
+      windowStart = new Date(at - backDays * DAY_MS);
+      windowEnd = new Date(at + forwardDays * DAY_MS);
+      const full = await backend.syncEvents({
+        refreshToken: user.refreshToken, calendarId, timeMin: windowStart.toISOString(), timeMax: windowEnd.toISOString(),
+      });
+      events = full.items.filter(e => e.status !== 'cancelled').map(cacheableEvent);
+      syncToken = full.nextSyncToken;
+    }
+
+    const next = {
+      userId, calendarId,
+      events: events.sort(byEventStart).slice(0, CAL_SYNC_MAX_EVENTS),
+      syncToken, windowStart, windowEnd,
+      syncedAt: new Date(at),
+      expiresAt: new Date(at + retentionMs),
+    };
+    await collection.updateOne({ userId, calendarId }, { $set: next }, { upsert: true });
+    return next;
+  }
+
+  async function invalidate(userId) {
+    await collection.deleteMany({ userId: String(userId) });
+  }
+
+  // One page of a calendar's events in [timeMin, timeMax): from the cache when it covers the range (text search
+  // always goes to the backend), else from the backend. Cache pages use "o:<offset>" page tokens.
+  async function page({ user, calendarId, timeMin, timeMax, timeZone, maxResults, q, pageToken }) {
+    const cacheable = ttlMs > 0 && !q && (!pageToken || pageToken.startsWith('o:'));
+    if (cacheable) {
+      const cache = await sync(user, calendarId);
+      if (cache.windowStart <= new Date(timeMin) && new Date(timeMax) <= cache.windowEnd) {
+        const all = cache.events.filter(e => eventOverlaps(e, timeMin, timeMax));
+        const offset = pageToken ? Number(pageToken.slice(2)) || 0 : 0;
+        return {
+          items: all.slice(offset, offset + maxResults),
+          nextPageToken: offset + maxResults < all.length ? `o:${offset + maxResults}` : null,
+        };
+      }
+    }
+    return backend.listEvents({ refreshToken: user.refreshToken, calendarId, timeMin, timeMax, timeZone, maxResults, q, pageToken });
+  }
+
+  return { sync, invalidate, page };
+}
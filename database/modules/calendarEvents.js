@@ -0,0 +1,41 @@
+// What a caller sees of a calendar event. `view` is a guest's calendar permissions
+// ({ calendarDetail, calendarMaskKeywords }); null = the owner's own view.
+//   calendarDetail: busy = time blocks only, titles = titles without location/organizer, full = everything.
+// For guests, private events and keyword matches are reduced to a busy block, so nothing the caller may not
+// hear leaves the server.
+
+export const CALENDAR_DETAILS = ['busy', 'titles', 'full'];
+export const CALENDAR_MASK_KEYWORDS_MAX = 20;
+
+// -> lowercased, de-duplicated keywords, or null when `raw` isn't a list
+export function sanitizeMaskKeywords(raw) {
+  if (!Array.isArray(raw)) return null;
+  const words = raw.map(w => String(w).trim().toLowerCase().slice(0, 40)).filter(Boolean);
+  return [...new Set(words)].slice(0, CALENDAR_MASK_KEYWORDS_MAX);
+}
+
+export function isMaskedEvent(e, maskKeywords) {
+  if (e.visibility === 'private' || e.visibility === 'confidential') return true;
+  const text = `${e.summary || ''} ${e.description || ''}`.toLowerCase();
+  return maskKeywords.some(w => text.includes(w));
+}
+
+// Google event -> { id, title, start, end, isAllDay, location, organizer }. Attendees never leave the server.
+export function simplifyEvent(e, view = null) {
+  const detail = CALENDAR_DETAILS.includes(view?.calendarDetail) ? view.calendarDetail : 'full';
+  const times = {
+    start: e.start?.dateTime || e.start?.date || null,  // date = all-day
+    end:   e.end?.dateTime   || e.end?.date   || null,
+    isAllDay: !!(e.start?.date && !e.start?.dateTime),
+  };
+  if (view && (detail === 'busy' || isMaskedEvent(e, view.calendarMaskKeywords || []))) {
+    return { id: null, title: 'Busy', ...times, location: null, organizer: null };
+  }
+  return {
+    id: e.id,
+    title: e.summary || '(no title)',
+    ...times,
+    location: detail === 'full' ? e.location || null : null,
+    organizer: detail === 'full' ? e.organizer?.email || null : null,
+  };
+}
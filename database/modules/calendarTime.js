@@ -0,0 +1,91 @@
+// Wall-clock helpers for calendar routes. Days are 'YYYY-MM-DD' strings in a given IANA time zone;
+// instants are epoch ms.
+
+export function ymdInTz(d, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone, year:'numeric', month:'2-digit', day:'2-digit' })
+    .formatToParts(d);
+  const y = parts.find(p => p.type === 'year')?.value;
+  const m = parts.find(p => p.type === 'month')?.value;
+  const dd = parts.find(p => p.type === 'day')?.value;
+  return `${y}-${m}-${dd}`;
+}
+
+// UTC offset of `timeZone` at instant `at`, in ms
+export function tzOffsetMs(at, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(at)).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(at / 1000) * 1000;
+}
+// Local wall time (YYYY-MM-DD + minutes after midnight) in `timeZone` -> epoch ms
+export function zonedToUtcMs(ymd, minutes, timeZone) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, minutes);
+  const first = wall - tzOffsetMs(wall, timeZone);
+  return wall - tzOffsetMs(first, timeZone);
+}
+export function addDaysYmd(ymd, n) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+export function validTimeZone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+}
+// ISO string or epoch ms -> epoch ms; null when missing or unparseable
+export function parseTimeParam(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const s = String(v).trim();
+  const t = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+// Calendar ranges shared by the window and free/busy routes (day boundaries in `timeZone`):
+//   range=today|tomorrow|this_week|next_week|weekend   (day=today|tomorrow is accepted too)
+//   days=N    now -> end of the Nth day, today being day 1
+//   from/to   ISO or epoch ms; `to` defaults to the end of from's day
+// Ranges longer than maxDays are an error. -> { mode, fromMs, toMs }, { error }, or null when the query names no range.
+export const CAL_RANGE_PRESETS = ['today', 'tomorrow', 'this_week', 'next_week', 'weekend'];
+export function presetRange(preset, timeZone, now = Date.now()) {
+  const today = ymdInTz(new Date(now), timeZone);
+  const midnight = ymd => zonedToUtcMs(ymd, 0, timeZone);
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  const nextMonday = addDaysYmd(today, (8 - weekday) % 7 || 7);
+  switch (preset) {
+    case 'today': return [now, midnight(addDaysYmd(today, 1))];
+    case 'tomorrow': return [midnight(addDaysYmd(today, 1)), midnight(addDaysYmd(today, 2))];
+    case 'this_week': return [now, midnight(nextMonday)];
+    case 'next_week': return [midnight(nextMonday), midnight(addDaysYmd(nextMonday, 7))];
+    default: { // weekend: the coming one, or the rest of this one
+      if (weekday === 6 || weekday === 0) return [now, midnight(nextMonday)];
+      const saturday = addDaysYmd(today, 6 - weekday);
+      return [midnight(saturday), midnight(addDaysYmd(saturday, 2))];
+    }
+  }
+}
+export function calendarRange(query, timeZone, { maxDays = 31, now = Date.now() } = {}) {
+  const preset = String(query.range || query.day || '').trim();
+  let mode, fromMs, toMs;
+  if (preset) {
+    if (!CAL_RANGE_PRESETS.includes(preset)) return { error: 'invalid_range' };
+    [fromMs, toMs] = presetRange(preset, timeZone, now);
+    mode = preset;
+  } else if (query.days !== undefined && query.days !== '') {
+    const days = parseInt(String(query.days), 10);
+    if (!(days >= 1 && days <= maxDays)) return { error: 'invalid_days' };
+    fromMs = now;
+    toMs = zonedToUtcMs(addDaysYmd(ymdInTz(new Date(now), timeZone), days), 0, timeZone);
+    mode = 'days';
+  } else if (query.from || query.to) {
+    fromMs = query.from ? parseTimeParam(query.from) : now;
+    if (fromMs === null) return { error: 'invalid_from' };
+    toMs = query.to ? parseTimeParam(query.to) : zonedToUtcMs(addDaysYmd(ymdInTz(new Date(fromMs), timeZone), 1), 0, timeZone);
+    if (toMs === null) return { error: 'invalid_to' };
+    mode = 'range';
+  } else {
+    return null;
+  }
+  if (toMs <= fromMs) return { error: 'invalid_range' };
+  if (toMs - fromMs > maxDays * 24 * 3600 * 1000) return { error: 'range_too_long' };
+  return { mode, fromMs, toMs };
+}
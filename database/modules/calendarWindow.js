@@ -0,0 +1,87 @@
+import { eventBounds } from './calendarBackends.js';
+
+// Merges the events of several calendars into one time-ordered, paginated stream.
+// Multi-calendar paging is one global cursor: for each calendar that still has events, the backend page token
+// to re-read and how many of that page's events were already consumed ({ c: { calendarId: [token, skip] } }),
+// plus the de-duplication keys emitted at the last start time (`at`, `k`), since a copy of one of those
+// events can still come up on the next page.
+
+export function encodePageToken(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+// -> cursor, or null when the token is malformed
+export function decodePageToken(raw) {
+  try {
+    const cursor = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor !== 'object' || Array.isArray(cursor)) return null;
+    if (cursor.c && typeof cursor.c === 'object') return { c: cursor.c, at: Number(cursor.at) || null, k: Array.isArray(cursor.k) ? cursor.k : [] };
+    // Tokens from before the global cursor: calendarId -> backend page token
+    return { c: Object.fromEntries(Object.entries(cursor).map(([id, token]) => [id, [token, 0]])), at: null, k: [] };
+  } catch {
+    return null;
+  }
+}
+
+// Same iCalUID and start = the same event, e.g. an invite that shows up on two calendars
+export function eventKey(e) {
+  return `${e.iCalUID || e.id}|${e.start?.dateTime || e.start?.date || ''}`;
+}
+
+// One page of the merged stream (k-way by start time, so pages stay in order across calendars).
+//   fetchPage(cal, backendToken) -> { items, nextPageToken }; a 404/410 skips that calendar (removed or unshared)
+//   filter(e)                    -> false drops a raw event before de-duplication
+//   toItem(e, cal)               -> the item to emit, or null to drop it after de-duplication
+// -> { calendars (the ones read), skipped (ids), items, nextPageToken }
+export async function mergeCalendarPages(calendars, {
+  cursor = null, maxResults, fetchPage, filter = () => true, toItem = e => e,
+}) {
+  const read = calendars.filter(c => !cursor || cursor.c[c.id]);
+  const skipped = [];
+  const buffers = await Promise.all(read.map(async (cal) => {
+    const [token, skip] = cursor?.c[cal.id] || [null, 0];
+    try {
+      const page = await fetchPage(cal, token);
+      return { cal, token, skip, items: page.items.slice(skip), next: page.nextPageToken, used: 0 };
+    } catch (e) {
+      if (e?.code !== 404 && e?.code !== 410) throw e;
+      skipped.push(cal.id);
+      return { cal, token, skip, items: [], next: null, used: 0 };
+    }
+  }));
+
+  // Nothing may be emitted past the last buffered event of a calendar that has more pages
+  const startOf = e => eventBounds(e).start || 0;
+  const bound = Math.min(...buffers.filter(b => b.next && b.items.length).map(b => startOf(b.items[b.items.length - 1])));
+  const queue = buffers
+    .flatMap(buf => buf.items.map(e => ({ e, buf })))
+    .sort((x, y) => startOf(x.e) - startOf(y.e));
+
+  const seen = new Set(cursor?.k || []);
+  const items = [];
+  let lastAt = cursor?.at ?? null;
+  for (const { e, buf } of queue) {
+    if (items.length >= maxResults || startOf(e) > bound) break;
+    buf.used++;
+    if (!filter(e)) continue;
+    const key = eventKey(e);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const item = toItem(e, buf.cal);
+    if (item === null) continue;
+    items.push(item);
+    lastAt = startOf(e);
+  }
+
+  const next = {};
+  for (const buf of buffers) {
+    if (buf.used < buf.items.length) next[buf.cal.id] = [buf.token, buf.skip + buf.used];
+    else if (buf.next) next[buf.cal.id] = [buf.next, 0];
+  }
+  const lastKeys = [...seen].filter(k => lastAt !== null && Date.parse(k.slice(k.lastIndexOf('|') + 1)) === lastAt);
+  return {
+    calendars: read,
+    skipped,
+    items,
+    nextPageToken: Object.keys(next).length ? encodePageToken({ c: next, at: lastAt, k: lastKeys }) : null,
+  };
+}
@@ -0,0 +1,119 @@
+import { addDaysYmd, ymdInTz, zonedToUtcMs } from './calendarTime.js';
+
+// Working hours and free/busy interval math. Hours are { <weekday 0=Sun..6>: [[startMin, endMin], ...] }
+// in the owner's time zone; intervals are [[startMs, endMs]].
+// Working hours come from the owner's profile text (availability, else calendarPrefs), e.g.
+// "Weekdays 9am-6pm", "Mon-Thu 10:00-18:30, Fri 10-2", "Sat 11 to 3". Nothing parseable -> Mon-Fri 9-18.
+export const DEFAULT_WORKING_HOURS = Object.freeze({ 1: [[540, 1080]], 2: [[540, 1080]], 3: [[540, 1080]], 4: [[540, 1080]], 5: [[540, 1080]] });
+export const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_RANGE_RE = /(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|–|to|until|till)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/g;
+const DAY_RANGE_RE = /\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?(?:\s*(?:-|–|to|through|thru)\s*(sun|mon|tue|wed|thu|fri|sat)[a-z]*)?/g;
+
+function daysFromText(text) {
+  if (/weekdays?|week days/.test(text)) return [1, 2, 3, 4, 5];
+  if (/weekends?/.test(text)) return [0, 6];
+  if (/daily|every ?day|all week/.test(text)) return [0, 1, 2, 3, 4, 5, 6];
+  const days = new Set();
+  for (const [, from, to] of text.matchAll(DAY_RANGE_RE)) {
+    const a = DAY_KEYS.indexOf(from);
+    const b = to ? DAY_KEYS.indexOf(to) : a;
+    for (let d = a; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === b) break;
+    }
+  }
+  return days.size ? [...days] : null;
+}
+
+// "9" "5pm" -> minutes; a bare end hour at or before the start is read as pm ("9-5", "10 to 4")
+function rangeMinutes([, h1, m1, ap1, h2, m2, ap2]) {
+  const toMin = (h, m, ap) => {
+    let hour = Number(h) % (ap ? 12 : 24);
+    if (ap === 'pm') hour += 12;
+    return hour * 60 + Number(m || 0);
+  };
+  let start = toMin(h1, m1, ap1);
+  let end = Number(h2) === 24 && !ap2 ? 1440 : toMin(h2, m2, ap2);
+  if (!ap1 && ap2 === 'pm' && start + 720 < end) start += 720;   // "1-5pm"
+  if (!ap1 && !ap2 && end <= start && end < 720) end += 720;     // "9-5"
+  return start < end && end <= 1440 ? [start, end] : null;
+}
+
+export function parseWorkingHours(profile) {
+  for (const field of ['availability', 'calendarPrefs']) {
+    const text = String(profile?.[field] || '').toLowerCase();
+    if (!text) continue;
+    const hours = {};
+    const matches = [...text.matchAll(TIME_RANGE_RE)];
+    let days = null;
+    let last = 0;
+    for (const [i, match] of matches.entries()) {
+      const end = match.index + match[0].length;
+      // Days usually lead ("Mon-Fri 9-5"); a trailing "... daily" only counts after the last range
+      const trailing = i === matches.length - 1 ? daysFromText(text.slice(end)) : null;
+      days = daysFromText(text.slice(last, match.index)) || trailing || days || [1, 2, 3, 4, 5];
+      last = end;
+      const range = rangeMinutes(match);
+      if (!range) continue;
+      for (const d of days) (hours[d] ||= []).push(range);
+    }
+    if (Object.keys(hours).length) return { source: field, hours };
+  }
+  return { source: 'default', hours: DEFAULT_WORKING_HOURS };
+}
+
+function pad(n) { return String(n).padStart(2, '0'); }
+function hhmm(min) { return `${pad(Math.floor(min / 60))}:${pad(min % 60)}`; }
+export function describeWorkingHours(hours) {
+  return Object.fromEntries(DAY_KEYS.map((k, d) => [k, (hours[d] || []).map(([a, b]) => `${hhmm(a)}-${hhmm(b)}`)]));
+}
+
+// Raw Google events -> merged busy intervals [[startMs, endMs]]. Free ("transparent"), cancelled and
+// declined events don't count; all-day events count only when marked busy.
+export function busyIntervals(rawEvents, timeZone) {
+  const intervals = [];
+  for (const e of rawEvents) {
+    if (e.status === 'cancelled' || e.transparency === 'transparent') continue;
+    if (e.attendees?.some(a => a.self && a.responseStatus === 'declined')) continue;
+    const start = e.start?.dateTime ? Date.parse(e.start.dateTime) : e.start?.date ? zonedToUtcMs(e.start.date, 0, timeZone) : NaN;
+    const end = e.end?.dateTime ? Date.parse(e.end.dateTime) : e.end?.date ? zonedToUtcMs(e.end.date, 0, timeZone) : NaN;
+    if (Number.isFinite(start) && Number.isFinite(end) && end > start) intervals.push([start, end]);
+  }
+  intervals.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [s, e] of intervals) {
+    const prev = merged[merged.length - 1];
+    if (prev && s <= prev[1]) prev[1] = Math.max(prev[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+// Working-hour intervals inside [fromMs, toMs), in the owner's time zone
+export function workingIntervals(hours, fromMs, toMs, timeZone) {
+  const out = [];
+  const lastDay = ymdInTz(new Date(toMs), timeZone);
+  for (let day = addDaysYmd(ymdInTz(new Date(fromMs), timeZone), -1); day <= lastDay; day = addDaysYmd(day, 1)) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    for (const [a, b] of hours[weekday] || []) {
+      const s = Math.max(zonedToUtcMs(day, a, timeZone), fromMs);
+      const e = Math.min(zonedToUtcMs(day, b, timeZone), toMs);
+      if (e > s) out.push([s, e]);
+    }
+  }
+  return out;
+}
+
+export function subtractIntervals(base, busy) {
+  const out = [];
+  for (const [s0, e0] of base) {
+    let cursor = s0;
+    for (const [bs, be] of busy) {
+      if (be <= cursor || bs >= e0) continue;
+      if (bs > cursor) out.push([cursor, bs]);
+      cursor = Math.max(cursor, be);
+    }
+    if (cursor < e0) out.push([cursor, e0]);
+  }
+  return out;
+}
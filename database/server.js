@@ -7,6 +7,14 @@ import { MongoClient, ObjectId } from 'mongodb';
 import jwt from 'jsonwebtoken';
 import { OAuth2Client } from 'google-auth-library';
 import { google } from 'googleapis';
+import { createCalendarBackend } from './modules/calendarBackends.js';
+import { createCalendarCache } from './modules/calendarCache.js';
+import { CALENDAR_DETAILS, sanitizeMaskKeywords, simplifyEvent } from './modules/calendarEvents.js';
+import { calendarRange, presetRange, validTimeZone, ymdInTz } from './modules/calendarTime.js';
+import { decodePageToken, mergeCalendarPages } from './modules/calendarWindow.js';
+import {
+  busyIntervals, describeWorkingHours, parseWorkingHours, subtractIntervals, workingIntervals,
+} from './modules/workingHours.js';
 
 dotenv.config();
 
@@ -50,6 +58,7 @@ const db = client.db(MONGODB_DB);
 const Users   = db.collection('users');
 const Devices = db.collection('devices');
 const Grants  = db.collection('grants'); // Lobby: ownerId -> guestId permissions
+const CalendarCache = db.collection('calendarCache'); // userId + calendarId -> cached events + syncToken
 
 // ---------- OAuth ----------
 const oauthVerify = new OAuth2Client({ clientId: GOOGLE_WEB_CLIENT_ID });
@@ -121,13 +130,30 @@ async function authMiddleware(req, _res, next) {
 app.use(authMiddleware);
 
 function objId(id) { try { return new ObjectId(id); } catch { return null; } }
-function canActAs(meId, ownerId) {
-  if (String(meId) === String(ownerId)) return Promise.resolve(true);
-  return Grants.findOne({
-    ownerId: objId(ownerId),
-    guestId: objId(meId),
-    status: 'active',
-  }).then(Boolean);
+
+// Per-guest permissions stored on the grant (owner-editable)
+const LOCATION_PRECISIONS = ['exact', 'street', 'neighbourhood', 'city', 'hidden'];
+// calendarDetail and calendarMaskKeywords: see modules/calendarEvents.js.
+// Grants without a calendarDetail keep full details (what guests saw before it existed); owners tighten it per guest.
+const DEFAULT_GRANT_PERMISSIONS = Object.freeze({
+  locationPrecision: 'street',
+  calendarDetail: 'full',
+  calendarMaskKeywords: [],
+});
+const SELF_PERMISSIONS = Object.freeze({ locationPrecision: 'exact', calendarDetail: 'full', calendarMaskKeywords: [] });
+function grantPermissions(raw) {
+  const p = raw || {};
+  return {
+    locationPrecision: LOCATION_PRECISIONS.includes(p.locationPrecision) ? p.locationPrecision : DEFAULT_GRANT_PERMISSIONS.locationPrecision,
+    calendarDetail: CALENDAR_DETAILS.includes(p.calendarDetail) ? p.calendarDetail : DEFAULT_GRANT_PERMISSIONS.calendarDetail,
+    calendarMaskKeywords: sanitizeMaskKeywords(p.calendarMaskKeywords) || [],
+  };
+}
+// What the caller may see of the owner: themselves -> everything, active grant -> its permissions, else null
+async function permissionsFor(meId, ownerId) {
+  if (String(meId) === String(ownerId)) return SELF_PERMISSIONS;
+  const grant = await Grants.findOne({ ownerId: objId(ownerId), guestId: objId(meId), status: 'active' });
+  return grant ? grantPermissions(grant.permissions) : null;
 }
 
 // ---------- Time helpers ----------
@@ -158,14 +184,6 @@ const CAL_GRACE_MIN = Number(process.env.CAL_GRACE_MIN || 5);   // include meeti
 const CAL_BACK_BUFFER_HOURS = Number(process.env.CAL_BACK_BUFFER_HOURS || 12); // to capture long running meetings
 const CAL_FORWARD_HOURS = Number(process.env.CAL_FORWARD_HOURS || 48);         // now → +48h
 
-function ymdInTz(d, timeZone) {
-  const parts = new Intl.DateTimeFormat('en-CA', { timeZone, year:'numeric', month:'2-digit', day:'2-digit' })
-    .formatToParts(d);
-  const y = parts.find(p => p.type === 'year')?.value;
-  const m = parts.find(p => p.type === 'month')?.value;
-  const dd = parts.find(p => p.type === 'day')?.value;
-  return `${y}-${m}-${dd}`;
-}
 function labelDatesForTodayAndTomorrow(timeZone) {
   const now = new Date();
   const today = ymdInTz(now, timeZone);
@@ -179,17 +197,8 @@ function forwardBoundsISO() {
   return { timeMin, timeMax };
 }
 
-function simplifyEvent(e) {
-  return {
-    id: e.id,
-    title: e.summary || '(no title)',
-    start: e.start?.dateTime || e.start?.date || null,  // date = all-day
-    end:   e.end?.dateTime   || e.end?.date   || null,
-    location: e.location || null,
-    organizer: e.organizer?.email || null,
-    isAllDay: !!(e.start?.date && !e.start?.dateTime),
-  };
-}
+// Calendar ranges (modules/calendarTime.js calendarRange) are capped at CAL_MAX_RANGE_DAYS.
+const CAL_MAX_RANGE_DAYS = Number(process.env.CAL_MAX_RANGE_DAYS || 31);
 
 // Keep events that are ongoing now (end >= now - grace) OR that start today/tomorrow in TZ
 function keepForward(e, timeZone, labels, now = new Date()) {
@@ -209,6 +218,52 @@ function keepForward(e, timeZone, labels, now = new Date()) {
   return Boolean(ongoing || startsTodayOrTomorrow);
 }
 
+// ---------- Free/busy helpers ----------
+// Working hours are parsed from the owner's profile text (modules/workingHours.js).
+const FREEBUSY_MAX_DAYS = 14;
+
+// Shared by /calendar/freebusy and /people/:id/calendar/freebusy. Working hours and day boundaries are
+// in the owner's profile time zone (tz only when the profile has none).
+async function freeBusyFor(user, query, view = null) {
+  const profileTz = user.profile?.timeZone;
+  const fallbackTz = String(query.tz || '').trim();
+  const timeZone = validTimeZone(profileTz) && profileTz ? profileTz : validTimeZone(fallbackTz) && fallbackTz ? fallbackTz : 'UTC';
+  const range = calendarRange(query, timeZone, { maxDays: FREEBUSY_MAX_DAYS }) ||
+    (([fromMs, toMs]) => ({ mode: 'today', fromMs, toMs }))(presetRange('today', timeZone));
+  if (range.error) return { status: 400, error: range.error };
+  const minMinutes = Math.min(Math.max(parseInt(String(query.minMinutes || '30'), 10) || 30, 5), 24 * 60);
+  const allHours = String(query.hours || '') === 'all';
+
+  const calendars = visibleCalendars(user, query, view);
+  if (!calendars.length) return { status: 403, error: 'calendar_not_shared' };
+  const perCalendar = await Promise.all(calendars.map(cal => listAllEvents({
+    user,
+    calendarId: cal.id,
+    timeMin: new Date(range.fromMs).toISOString(),
+    timeMax: new Date(range.toMs).toISOString(),
+    timeZone,
+  }).catch((e) => {
+    if (e?.code === 404 || e?.code === 410) return [];
+    throw e;
+  })));
+  const raw = perCalendar.flat();
+  const working = parseWorkingHours(user.profile);
+  const busy = busyIntervals(raw, timeZone)
+    .map(([s, e]) => [Math.max(s, range.fromMs), Math.min(e, range.toMs)])
+    .filter(([s, e]) => e > s);
+  const base = allHours ? [[range.fromMs, range.toMs]] : workingIntervals(working.hours, range.fromMs, range.toMs, timeZone);
+  const free = subtractIntervals(base, busy).filter(([s, e]) => e - s >= minMinutes * 60 * 1000);
+  const iso = ([s, e]) => ({ start: new Date(s).toISOString(), end: new Date(e).toISOString() });
+
+  return {
+    range: { mode: range.mode, from: new Date(range.fromMs).toISOString(), to: new Date(range.toMs).toISOString(), timeZone },
+    workingHours: allHours ? null : { source: working.source, days: describeWorkingHours(working.hours) },
+    minMinutes,
+    busy: busy.map(iso),
+    free: free.map(b => ({ ...iso(b), minutes: Math.round((b[1] - b[0]) / 60000) })),
+  };
+}
+
 // ---------- Health ----------
 app.get('/health', (_req, res) => res.json({ ok: true, ts: Date.now() }));
 app.get('/', (_req, res) => res.send('OK'));
@@ -323,25 +378,136 @@ app.get('/auth/google/start', (req, res) => {
 // Calendar: PEOPLE (impersonation) & SELF
 // ============================================================
 
-// Common Google call -> returns {items}
-async function listEvents({ refreshToken, calendarId, timeMin, timeMax, timeZone, maxResults }) {
+// ---------- Calendar backends ----------
+// CALENDAR_PROVIDER: google (default) | fake (CALENDAR_FAKE_FILE, for tests); see modules/calendarBackends.js.
+function googleCalendar(refreshToken) {
   const oauth2 = new OAuth2Client({
     clientId: GOOGLE_WEB_CLIENT_ID,
     clientSecret: GOOGLE_WEB_CLIENT_SECRET,
     redirectUri: REDIRECT_URI,
   });
   oauth2.setCredentials({ refresh_token: refreshToken });
-  const calendar = google.calendar({ version: 'v3', auth: oauth2 });
-  const { data } = await calendar.events.list({
-    calendarId,
-    timeMin,
-    timeMax,
+  return google.calendar({ version: 'v3', auth: oauth2 });
+}
+
+const calendarBackend = createCalendarBackend(process.env, { calendarFor: googleCalendar });
+if (calendarBackend.configError) throw new Error(calendarBackend.configError);
+
+// ---------- Calendar cache ----------
+// calendarCache holds, per user and calendar, the events of [now - CAL_CACHE_BACK_DAYS, now + CAL_CACHE_FORWARD_DAYS]
+// plus the backend's syncToken (modules/calendarCache.js). Docs expire a day after their last sync (TTL index) and are
+// dropped when the owner changes calendar settings. CAL_CACHE_TTL_SEC=0 turns the cache off.
+await CalendarCache.createIndex({ userId: 1, calendarId: 1 }, { unique: true }).catch(() => {});
+await CalendarCache.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch(() => {});
+
+const calendarCache = createCalendarCache({
+  collection: CalendarCache,
+  backend: calendarBackend,
+  ttlMs: Number(process.env.CAL_CACHE_TTL_SEC ?? 60) * 1000,
+  backDays: Number(process.env.CAL_CACHE_BACK_DAYS || 7),
+  forwardDays: Number(process.env.CAL_CACHE_FORWARD_DAYS || 60),
+});
+const invalidateCalendarCache = userId => calendarCache.invalidate(userId);
+const eventsPage = opts => calendarCache.page(opts);
+
+// Every page of a range (bounded), for callers that need the whole range at once
+async function listAllEvents(opts, { maxPages = 10 } = {}) {
+  const items = [];
+  let pageToken = null;
+  for (let page = 0; page < maxPages; page++) {
+    const res = await eventsPage({ ...opts, maxResults: 250, pageToken });
+    items.push(...res.items);
+    pageToken = res.nextPageToken;
+    if (!pageToken) break;
+  }
+  return items;
+}
+
+// ---------- Calendar selection & windows ----------
+// Calendars the persona reads: ?calendarId= when given, else the owner's selection (users.calendars.selected),
+// else just the primary calendar.
+const CAL_MAX_SELECTED = 20;
+function calendarsFor(user, query = {}) {
+  if (query.calendarId) return [{ id: String(query.calendarId), summary: null }];
+  const selected = user.calendars?.selected;
+  return Array.isArray(selected) && selected.length ? selected : [{ id: 'primary', summary: 'Primary' }];
+}
+// Guests (view set) only ever see the owner's selected calendars; ?calendarId= narrows within them.
+function visibleCalendars(user, query, view) {
+  if (!view) return calendarsFor(user, query);
+  const selected = calendarsFor(user);
+  if (!query.calendarId) return selected;
+  const id = String(query.calendarId);
+  return selected.filter(c => c.id === id || (id === 'primary' && (c.primary || c.id === 'primary')));
+}
+
+function attendeeMatches(e, needle) {
+  const people = [...(e.attendees || []), ...(e.organizer ? [e.organizer] : [])];
+  return people.some(a => `${a.email || ''} ${a.displayName || ''}`.toLowerCase().includes(needle));
+}
+
+// Shared by /calendar/window and /people/:id/calendar/window.
+//   mode=forward (now -> CAL_FORWARD_HOURS), range/days/from/to (see calendarRange), or neither = yesterday/today/tomorrow
+//   q = Google's free-text search; attendee = part of an attendee's or the organizer's email/name
+//   max = page size (<= 250); pageToken = the previous response's nextPageToken
+// Events from all selected calendars are merged by start time and de-duplicated (modules/calendarWindow.js), and
+// labelled with their source calendar.
+// `view` = a guest's permissions (see simplifyEvent); below full detail, guests can't search or filter,
+// since matches alone would reveal what's hidden.
+async function calendarWindowFor(user, query, view = null) {
+  const timeZone   = String(query.tz || '').trim() || 'UTC';
+  const maxResults = Math.min(parseInt(String(query.max || '50'), 10) || 50, 250);
+  const mode       = String(query.mode || '').trim(); // '' | 'forward'
+  const q          = String(query.q || '').trim().slice(0, 200);
+  const attendee   = String(query.attendee || '').trim().toLowerCase();
+  const pageToken  = String(query.pageToken || '').trim() || null;
+
+  const fullDetail = !view || view.calendarDetail === 'full';
+  if (!fullDetail && (q || attendee)) return { status: 403, error: 'calendar_filters_not_permitted' };
+  const custom = mode === 'forward' ? null : calendarRange(query, timeZone, { maxDays: CAL_MAX_RANGE_DAYS });
+  if (custom?.error) return { status: 400, error: custom.error };
+  const cursor = pageToken ? decodePageToken(pageToken) : null;
+  if (pageToken && !cursor) return { status: 400, error: 'invalid_page_token' };
+
+  let labels, timeMin, timeMax, range;
+  if (mode === 'forward') {
+    labels = labelDatesForTodayAndTomorrow(timeZone);
+    ({ timeMin, timeMax } = forwardBoundsISO());
+    range = { mode: 'forward', timeZone, labelDates: labels };
+  } else if (custom) {
+    timeMin = new Date(custom.fromMs).toISOString();
+    timeMax = new Date(custom.toMs).toISOString();
+    range = { mode: custom.mode, timeZone, from: timeMin, to: timeMax };
+  } else {
+    const legacy = yttRangeISO(timeZone);
+    timeMin = legacy.startIso; timeMax = legacy.endIso;
+    range = { mode: 'ytt', timeZone, ...legacy };
+  }
+
+  const shared = visibleCalendars(user, query, view);
+  if (!shared.length) return { status: 403, error: 'calendar_not_shared' };
+  const { calendars, skipped, items, nextPageToken } = await mergeCalendarPages(shared, {
+    cursor,
     maxResults,
-    singleEvents: true,
-    orderBy: 'startTime',
-    timeZone,
+    fetchPage: (cal, token) => eventsPage({ user, calendarId: cal.id, timeMin, timeMax, timeZone, maxResults, q, pageToken: token }),
+    filter: e => (!attendee || attendeeMatches(e, attendee)) &&
+      (view?.calendarDetail !== 'busy' || busyIntervals([e], timeZone).length > 0), // busy: drop free/declined
+    toItem: (e, cal) => {
+      const ev = simplifyEvent(e, view);
+      if (mode === 'forward' && !keepForward(ev, timeZone, labels)) return null;
+      // A calendar's name ("Therapy", "Job search") can say as much as a title
+      return fullDetail && ev.id !== null ? { ...ev, source: { calendarId: cal.id, calendar: cal.summary } } : ev;
+    },
   });
-  return data?.items || [];
+  return {
+    range,
+    ...(fullDetail ? { calendars: calendars.map(c => c.id) } : {}),
+    ...(skipped.length && fullDetail ? { skipped } : {}),
+    ...(view ? { detail: view.calendarDetail } : {}),
+    ...(q || attendee ? { filters: { q: q || null, attendee: attendee || null } } : {}),
+    items,
+    nextPageToken,
+  };
 }
 
 // GET /people/:id/calendar/window
@@ -353,42 +519,21 @@ app.get('/people/:id/calendar/window', async (req, res) => {
     const ownerId = objId(ownerIdStr);
     if (!ownerId) return res.status(400).json({ error: 'bad_owner_id' });
 
-    const allowed = await canActAs(req.userId, ownerIdStr);
-    if (!allowed) return res.status(403).json({ error: 'no-grant' });
-
-    const timeZone   = String(req.query.tz || '').trim() || 'UTC';
-    const calendarId = String(req.query.calendarId || 'primary');
-    const maxResults = Math.min(parseInt(String(req.query.max || '50'), 10) || 50, 200);
-    const mode       = String(req.query.mode || '').trim(); // '' | 'forward'
+    const permissions = await permissionsFor(req.userId, ownerIdStr);
+    if (!permissions) return res.status(403).json({ error: 'no-grant' });
+    const view = String(req.userId) === ownerIdStr ? null : permissions;
 
-    const owner = await Users.findOne({ _id: ownerId }, { projection: { refreshToken: 1 } });
+    const owner = await Users.findOne({ _id: ownerId }, { projection: { refreshToken: 1, calendars: 1 } });
     if (!owner?.refreshToken) return res.status(400).json({ error: 'google_not_connected' });
 
-    let labels, timeMin, timeMax, legacy;
-    if (mode === 'forward') {
-      labels = labelDatesForTodayAndTomorrow(timeZone);
-      ({ timeMin, timeMax } = forwardBoundsISO());
-    } else {
-      legacy = yttRangeISO(timeZone);
-      timeMin = legacy.startIso; timeMax = legacy.endIso;
-    }
-
-    const raw = await listEvents({ refreshToken: owner.refreshToken, calendarId, timeMin, timeMax, timeZone, maxResults });
-    const simplified = raw.map(simplifyEvent);
-    const items = (mode === 'forward')
-      ? simplified.filter(e => keepForward(e, timeZone, labels))
-      : simplified;
-
-    return res.json({
-      range: (mode === 'forward')
-        ? { mode: 'forward', timeZone, labelDates: labels }
-        : { mode: 'ytt', timeZone, ...legacy },
-      items,
-    });
+    const out = await calendarWindowFor(owner, req.query, view);
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json(out);
   } catch (e) {
     if (e?.code === 403 && /insufficient/i.test(String(e.message))) {
       return res.status(400).json({ error: 'google_scopes_insufficient' });
     }
+    if (e?.code === 400) return res.status(400).json({ error: 'calendar_bad_request' }); // e.g. stale pageToken
     console.error('[PEOPLE CAL WINDOW ERROR]', e);
     return res.status(500).json({ error: 'calendar_failed' });
   }
@@ -399,37 +544,59 @@ app.get('/calendar/window', async (req, res) => {
   try {
     if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
 
-    const timeZone   = String(req.query.tz || '').trim() || 'UTC';
-    const calendarId = String(req.query.calendarId || 'primary');
-    const maxResults = Math.min(parseInt(String(req.query.max || '50'), 10) || 50, 200);
-    const mode       = String(req.query.mode || '').trim(); // '' | 'forward'
+    const user = await Users.findOne({ _id: objId(req.userId) }, { projection: { refreshToken: 1, calendars: 1 } });
+    if (!user?.refreshToken) return res.status(400).json({ error: 'google_not_connected' });
+
+    const out = await calendarWindowFor(user, req.query);
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json(out);
+  } catch (e) {
+    if (e?.code === 400) return res.status(400).json({ error: 'calendar_bad_request' });
+    console.error('[CALENDAR WINDOW ERROR]', e);
+    return res.status(500).json({ error: 'calendar_failed' });
+  }
+});
 
-    const user = await Users.findOne({ _id: objId(req.userId) }, { projection: { refreshToken: 1 } });
+// GET /calendar/freebusy?range=|days=|from=&to= (default: rest of today)&minMinutes=30&hours=working|all  (self)
+app.get('/calendar/freebusy', async (req, res) => {
+  try {
+    if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
+    const user = await Users.findOne({ _id: objId(req.userId) }, { projection: { refreshToken: 1, profile: 1, calendars: 1 } });
     if (!user?.refreshToken) return res.status(400).json({ error: 'google_not_connected' });
 
-    let labels, timeMin, timeMax, legacy;
-    if (mode === 'forward') {
-      labels = labelDatesForTodayAndTomorrow(timeZone);
-      ({ timeMin, timeMax } = forwardBoundsISO());
-    } else {
-      legacy = yttRangeISO(timeZone);
-      timeMin = legacy.startIso; timeMax = legacy.endIso;
-    }
+    const out = await freeBusyFor(user, req.query);
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json(out);
+  } catch (e) {
+    console.error('[CALENDAR FREEBUSY ERROR]', e);
+    return res.status(500).json({ error: 'calendar_failed' });
+  }
+});
 
-    const raw = await listEvents({ refreshToken: user.refreshToken, calendarId, timeMin, timeMax, timeZone, maxResults });
-    const simplified = raw.map(simplifyEvent);
-    const items = (mode === 'forward')
-      ? simplified.filter(e => keepForward(e, timeZone, labels))
-      : simplified;
+// GET /people/:id/calendar/freebusy  (same query; busy blocks carry no event details)
+app.get('/people/:id/calendar/freebusy', async (req, res) => {
+  try {
+    if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
 
-    return res.json({
-      range: (mode === 'forward')
-        ? { mode: 'forward', timeZone, labelDates: labels }
-        : { mode: 'ytt', timeZone, ...legacy },
-      items,
-    });
+    const ownerIdStr = String(req.params.id || '').trim();
+    const ownerId = objId(ownerIdStr);
+    if (!ownerId) return res.status(400).json({ error: 'bad_owner_id' });
+
+    const permissions = await permissionsFor(req.userId, ownerIdStr);
+    if (!permissions) return res.status(403).json({ error: 'no-grant' });
+    const view = String(req.userId) === ownerIdStr ? null : permissions;
+
+    const owner = await Users.findOne({ _id: ownerId }, { projection: { refreshToken: 1, profile: 1, calendars: 1 } });
+    if (!owner?.refreshToken) return res.status(400).json({ error: 'google_not_connected' });
+
+    const out = await freeBusyFor(owner, req.query, view);
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    return res.json(out);
   } catch (e) {
-    console.error('[CALENDAR WINDOW ERROR]', e);
+    if (e?.code === 403 && /insufficient/i.test(String(e.message))) {
+      return res.status(400).json({ error: 'google_scopes_insufficient' });
+    }
+    console.error('[PEOPLE CAL FREEBUSY ERROR]', e);
     return res.status(500).json({ error: 'calendar_failed' });
   }
 });
@@ -479,6 +646,7 @@ app.get('/auth/callback', async (req, res) => {
 
     const doc = await Users.findOne({ googleId: p.sub });
     if (!doc) return res.status(500).send('User upsert failed');
+    if (tokens.refresh_token) await invalidateCalendarCache(doc._id); // reconnected: sync tokens belong to the old grant
 
     const patch = {};
     if (!doc.profile) patch.profile = { ...EMPTY_PROFILE };
@@ -578,6 +746,59 @@ app.put('/me', async (req, res) => {
   }
 });
 
+// GET /me/calendars -> the user's Google calendars, flagged with the ones the persona reads
+app.get('/me/calendars', async (req, res) => {
+  try {
+    if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
+    const user = await Users.findOne({ _id: objId(req.userId) }, { projection: { refreshToken: 1, calendars: 1 } });
+    if (!user?.refreshToken) return res.status(400).json({ error: 'google_not_connected' });
+
+    const list = await calendarBackend.listCalendars(user.refreshToken);
+    const selectedIds = calendarsFor(user).map(c => c.id);
+    return res.json({
+      calendars: list.map(c => ({ ...c, selected: selectedIds.includes(c.id) || (c.primary && selectedIds.includes('primary')) })),
+      selected: selectedIds,
+    });
+  } catch (e) {
+    if (e?.code === 403 && /insufficient/i.test(String(e.message))) {
+      return res.status(400).json({ error: 'google_scopes_insufficient' });
+    }
+    console.error('[CALENDAR LIST ERROR]', e);
+    return res.status(500).json({ error: 'calendar_failed' });
+  }
+});
+
+// PUT /me/calendars { selected: [calendarId, ...] }  ('primary' or ids from GET /me/calendars)
+app.put('/me/calendars', async (req, res) => {
+  try {
+    if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
+    const _id = objId(req.userId);
+    const wanted = req.body?.selected;
+    if (!Array.isArray(wanted) || !wanted.length || wanted.length > CAL_MAX_SELECTED) {
+      return res.status(400).json({ error: `selected must list 1..${CAL_MAX_SELECTED} calendar ids` });
+    }
+    const user = await Users.findOne({ _id }, { projection: { refreshToken: 1 } });
+    if (!user?.refreshToken) return res.status(400).json({ error: 'google_not_connected' });
+
+    const list = await calendarBackend.listCalendars(user.refreshToken);
+    const selected = [];
+    for (const raw of new Set(wanted.map(String))) {
+      const cal = raw === 'primary' ? list.find(c => c.primary) : list.find(c => c.id === raw);
+      if (!cal) return res.status(400).json({ error: 'unknown_calendar', calendarId: raw });
+      if (!selected.some(c => c.id === cal.id)) selected.push({ id: cal.id, summary: cal.summary, primary: cal.primary });
+    }
+    // Primary first, so it wins de-duplication
+    selected.sort((a, b) => Number(b.primary) - Number(a.primary));
+
+    await Users.updateOne({ _id }, { $set: { calendars: { selected, updatedAt: new Date() } } });
+    await invalidateCalendarCache(_id);
+    return res.json({ ok: true, selected: selected.map(c => c.id) });
+  } catch (e) {
+    console.error('[CALENDAR SELECT ERROR]', e);
+    return res.status(500).json({ error: 'calendar_failed' });
+  }
+});
+
 app.put('/me/voice-id', async (req, res) => {
   try {
     if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
@@ -640,6 +861,19 @@ app.get('/users/:id/basic', async (req, res) => {
 // ============================================================
 await Devices.createIndex({ id: 1 }, { unique: true }).catch(() => {});
 
+function deviceJson(dev) {
+  return {
+    id: dev.id,
+    ownerId: String(dev.ownerId),
+    label: dev.label || null,
+    platform: dev.platform || null,
+    model: dev.model || null,
+    sharing: !!dev.sharing,
+    primary: !!dev.primary,
+    lastSeenAt: dev.lastSeenAt ? new Date(dev.lastSeenAt).toISOString() : null,
+  };
+}
+
 app.get('/devices/:id', async (req, res) => {
   try {
     if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
@@ -654,15 +888,7 @@ app.get('/devices/:id', async (req, res) => {
       return res.status(403).json({ error: 'forbidden' });
     }
 
-    return res.json({
-      id: dev.id,
-      ownerId: String(dev.ownerId),
-      label: dev.label || null,
-      platform: dev.platform || null,
-      model: dev.model || null,
-      sharing: !!dev.sharing,
-      lastSeenAt: dev.lastSeenAt ? new Date(dev.lastSeenAt).toISOString() : null,
-    });
+    return res.json(deviceJson(dev));
   } catch (e) {
     console.error('[DEVICES GET ERROR]', e);
     return res.status(500).json({ error: 'server_error' });
@@ -692,6 +918,7 @@ app.post('/devices/register', async (req, res) => {
       platform: typeof platform === 'string' ? platform : (existing?.platform || null),
       model: typeof model === 'string' ? model : (existing?.model || null),
       sharing: existing?.sharing === true,
+      primary: existing?.primary === true,
       lastSeenAt: existing?.lastSeenAt || null,
       updatedAt: now,
       createdAt: existing?.createdAt || now,
@@ -699,15 +926,7 @@ app.post('/devices/register', async (req, res) => {
 
     await Devices.updateOne({ id }, { $set: doc }, { upsert: true });
 
-    return res.json({
-      id: doc.id,
-      ownerId: String(doc.ownerId),
-      label: doc.label,
-      platform: doc.platform,
-      model: doc.model,
-      sharing: !!doc.sharing,
-      lastSeenAt: doc.lastSeenAt ? new Date(doc.lastSeenAt).toISOString() : null,
-    });
+    return res.json(deviceJson(doc));
   } catch (e) {
     console.error('[DEVICES REGISTER ERROR]', e);
     if (String(e?.code) === '11000') {
@@ -731,21 +950,39 @@ app.post('/devices/:id/sharing', async (req, res) => {
     await Devices.updateOne({ id }, { $set: { sharing, updatedAt: Date.now() } });
     const updated = await Devices.findOne({ id });
 
-    return res.json({
-      id: updated.id,
-      ownerId: String(updated.ownerId),
-      label: updated.label || null,
-      platform: updated.platform || null,
-      model: updated.model || null,
-      sharing: !!updated.sharing,
-      lastSeenAt: updated.lastSeenAt ? new Date(updated.lastSeenAt).toISOString() : null,
-    });
+    return res.json(deviceJson(updated));
   } catch (e) {
     console.error('[DEVICES SHARING ERROR]', e);
     return res.status(500).json({ error: 'server_error' });
   }
 });
 
+// Marks the device the owner carries; at most one primary device per owner.
+app.post('/devices/:id/primary', async (req, res) => {
+  try {
+    if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ error: 'invalid_id' });
+
+    const dev = await Devices.findOne({ id });
+    if (!dev) return res.status(404).json({ error: 'not_found' });
+    if (String(dev.ownerId) !== String(req.userId)) return res.status(403).json({ error: 'forbidden' });
+
+    const primary = req.body?.primary === undefined ? true : !!req.body.primary;
+    const now = Date.now();
+    if (primary) {
+      await Devices.updateMany({ ownerId: dev.ownerId, id: { $ne: id }, primary: true }, { $set: { primary: false, updatedAt: now } });
+    }
+    await Devices.updateOne({ id }, { $set: { primary, updatedAt: now } });
+    const updated = await Devices.findOne({ id });
+
+    return res.json(deviceJson(updated));
+  } catch (e) {
+    console.error('[DEVICES PRIMARY ERROR]', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
 app.post('/devices/:id/touch', async (req, res) => {
   try {
     if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
@@ -792,6 +1029,7 @@ app.get('/lobby/summary', async (req, res) => {
       createdAt: toIso(g.createdAt),
       updatedAt: toIso(g.updatedAt || g.lastUsedAt),
       id: g.id || g.grantId,
+      permissions: grantPermissions(g.permissions),
       guest: {
         _id: String(g?.guest?._id ?? ''),
         email: g?.guest?.email || '',
@@ -1169,6 +1407,48 @@ app.post('/lobby/revoke-by-guest', async (req, res) => {
   }
 });
 
+// Owner sets what a guest may see, e.g. { locationPrecision: 'neighbourhood', calendarDetail: 'busy',
+// calendarMaskKeywords: ['doctor'] }; omitted fields keep their current value.
+app.put('/lobby/grants/:guestId/permissions', async (req, res) => {
+  try {
+    if (!req.userId) return res.status(401).json({ error: 'unauthorized' });
+    const ownerId = objId(req.userId);
+    const guestId = objId(req.params.guestId);
+    if (!guestId) return res.status(400).json({ error: 'invalid_guestId' });
+
+    const { locationPrecision, calendarDetail, calendarMaskKeywords } = req.body || {};
+    if (locationPrecision !== undefined && !LOCATION_PRECISIONS.includes(locationPrecision)) {
+      return res.status(400).json({ error: 'invalid_locationPrecision' });
+    }
+    if (calendarDetail !== undefined && !CALENDAR_DETAILS.includes(calendarDetail)) {
+      return res.status(400).json({ error: 'invalid_calendarDetail' });
+    }
+    if (calendarMaskKeywords !== undefined && !Array.isArray(calendarMaskKeywords)) {
+      return res.status(400).json({ error: 'invalid_calendarMaskKeywords' });
+    }
+
+    const grant = await Grants.findOne({ ownerId, guestId, status: 'active' });
+    if (!grant) return res.status(404).json({ error: 'grant_not_found' });
+
+    const permissions = grantPermissions({
+      ...grant.permissions,
+      ...(locationPrecision !== undefined ? { locationPrecision } : {}),
+      ...(calendarDetail !== undefined ? { calendarDetail } : {}),
+      ...(calendarMaskKeywords !== undefined ? { calendarMaskKeywords } : {}),
+    });
+    const now = new Date();
+    await Grants.updateOne({ _id: grant._id }, { $set: { permissions, updatedAt: now } });
+    await Users.updateOne(
+      { _id: ownerId, 'lobby.granted.guest._id': String(guestId) },
+      { $set: { 'lobby.granted.$.permissions': permissions, 'lobby.granted.$.updatedAt': now } }
+    );
+    return res.json({ ok: true, permissions });
+  } catch (e) {
+    console.error('[GRANT PERMISSIONS ERROR]', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // Simple ACL check
 app.get('/acl/can-act-as', async (req, res) => {
   try {
@@ -1176,14 +1456,14 @@ app.get('/acl/can-act-as', async (req, res) => {
     const me = req.userId;
     const target = String(req.query.target || '').trim();
     if (!target) return res.status(400).json({ allowed: false, reason: 'missing target' });
-    if (me === target) return res.json({ allowed: true, reason: 'self' });
+    if (me === target) return res.json({ allowed: true, reason: 'self', permissions: SELF_PERMISSIONS });
 
     const ok = await Grants.findOne({
       ownerId: objId(target),
       guestId: objId(me),
       status: 'active',
     });
-    if (ok) return res.json({ allowed: true, reason: 'grant' });
+    if (ok) return res.json({ allowed: true, reason: 'grant', permissions: grantPermissions(ok.permissions) });
     return res.status(403).json({ allowed: false, reason: 'no-grant' });
   } catch (e) {
     res.status(500).json({ allowed: false, reason: 'server' });
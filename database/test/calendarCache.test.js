@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeCalendarBackend } from '../modules/calendarBackends.js';
+import { createCalendarCache } from '../modules/calendarCache.js';
+
+const DAY = 24 * 3600 * 1000;
+const NOW = Date.parse('2026-03-02T00:00:00Z');
+const user = { _id: 'u1', refreshToken: 'rt' };
+
+// Enough of a MongoDB collection for the cache: one doc per { userId, calendarId }
+function memoryCollection() {
+  const docs = new Map();
+  const key = q => `${q.userId}|${q.calendarId}`;
+  return {
+    docs,
+    async findOne(q) { return docs.get(key(q)) || null; },
+    async updateOne(q, { $set }) { docs.set(key(q), { ...docs.get(key(q)), ...$set }); },
+    async deleteMany(q) { for (const [k, d] of docs) if (d.userId === q.userId) docs.delete(k); },
+  };
+}
+
+function event(id, dayOffset, summary = id) {
+  const start = new Date(NOW + dayOffset * DAY);
+  return {
+    id,
+    summary,
+    start: { dateTime: start.toISOString() },
+    end: { dateTime: new Date(start.getTime() + 3600 * 1000).toISOString() },
+  };
+}
+
+function setup() {
+  const data = {
+    calendars: [{ id: 'cal1', summary: 'Work', primary: true }],
+    events: { cal1: [event('a', -1), event('b', 1), event('far', 200)] },
+  };
+  const backend = new FakeCalendarBackend({ data });
+  const collection = memoryCollection();
+  let clock = NOW;
+  const cache = createCalendarCache({ collection, backend, ttlMs: 1000, backDays: 7, forwardDays: 60, now: () => clock });
+  return { data, backend, collection, cache, tick: ms => { clock += ms; } };
+}
+
+const ids = doc => doc.events.map(e => e.id);
+
+test('full sync caches the window only', async () => {
+  const { cache } = setup();
+  const doc = await cache.sync(user, 'cal1');
+  assert.deepEqual(ids(doc), ['a', 'b']);
+  assert.ok(doc.syncToken);
+  assert.equal(doc.windowStart.getTime(), NOW - 7 * DAY);
+  assert.equal(doc.windowEnd.getTime(), NOW + 60 * DAY);
+});
+
+test('reads inside the TTL are served from the cache', async () => {
+  const { data, cache, tick } = setup();
+  await cache.sync(user, 'cal1');
+  data.events.cal1.push(event('c', 2));
+  tick(500);
+  assert.deepEqual(ids(await cache.sync(user, 'cal1')), ['a', 'b']);
+});
+
+test('incremental sync merges edits and drops deletions', async () => {
+  const { data, cache, tick } = setup();
+  const first = await cache.sync(user, 'cal1');
+  data.events.cal1 = [event('b', 1, 'moved title'), event('c', 2), event('far', 200)];
+  tick(2000);
+  const doc = await cache.sync(user, 'cal1');
+  assert.notEqual(doc.syncToken, first.syncToken);
+  assert.deepEqual(ids(doc), ['b', 'c']);
+  assert.equal(doc.events[0].summary, 'moved title');
+  assert.equal(doc.windowStart.getTime(), first.windowStart.getTime()); // same window, not a full sync
+});
+
+test('incremental changes outside the window are not merged', async () => {
+  const { data, cache, tick } = setup();
+  await cache.sync(user, 'cal1');
+  data.events.cal1.push(event('later', 120), event('earlier', -30));
+  data.events.cal1[1] = event('b', 90); // moved out of the window
+  tick(2000);
+  assert.deepEqual(ids(await cache.sync(user, 'cal1')), ['a']);
+});
+
+test('an expired sync token (410) falls back to a full sync', async () => {
+  const { data, backend, cache, tick } = setup();
+  const first = await cache.sync(user, 'cal1');
+  data.events.cal1 = [event('b', 1), event('d', 3)];
+  backend.expireSyncTokens();
+  tick(3600 * 1000);
+  const doc = await cache.sync(user, 'cal1');
+  assert.deepEqual(ids(doc), ['b', 'd']);
+  assert.notEqual(doc.syncToken, first.syncToken);
+  assert.equal(doc.windowStart.getTime(), NOW + 3600 * 1000 - 7 * DAY); // window moved with the full sync
+});
+
+test('pages come from the cache inside the window and from the backend outside it', async () => {
+  const { data, cache } = setup();
+  data.events.cal1.push(event('c', 2), event('d', 3));
+  const range = { user, calendarId: 'cal1', timeMin: new Date(NOW).toISOString(), timeMax: new Date(NOW + 10 * DAY).toISOString() };
+  const p1 = await cache.page({ ...range, maxResults: 2 });
+  assert.deepEqual(p1.items.map(e => e.id), ['b', 'c']);
+  assert.equal(p1.nextPageToken, 'o:2');
+  const p2 = await cache.page({ ...range, maxResults: 2, pageToken: p1.nextPageToken });
+  assert.deepEqual(p2.items.map(e => e.id), ['d']);
+  assert.equal(p2.nextPageToken, null);
+
+  const far = await cache.page({
+    user, calendarId: 'cal1', maxResults: 10,
+    timeMin: new Date(NOW + 150 * DAY).toISOString(), timeMax: new Date(NOW + 250 * DAY).toISOString(),
+  });
+  assert.deepEqual(far.items.map(e => e.id), ['far']);
+});
+
+test('invalidate drops every calendar of the user', async () => {
+  const { collection, cache } = setup();
+  await cache.sync(user, 'cal1');
+  await cache.invalidate('u1');
+  assert.equal(collection.docs.size, 0);
+});
+
+test('unknown calendars are a 404 from the fake', async () => {
+  const { cache } = setup();
+  await assert.rejects(cache.sync(user, 'nope'), e => e.code === 404);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isMaskedEvent, sanitizeMaskKeywords, simplifyEvent } from '../modules/calendarEvents.js';
+
+const event = (extra = {}) => ({
+  id: 'ev1',
+  summary: 'Quarterly review',
+  description: 'Slides in the shared drive',
+  location: 'Room 4.12',
+  organizer: { email: 'boss@example.com' },
+  attendees: [{ email: 'owner@example.com', self: true }, { email: 'guest@example.com' }],
+  start: { dateTime: '2026-03-02T09:00:00+01:00' },
+  end: { dateTime: '2026-03-02T10:00:00+01:00' },
+  ...extra,
+});
+const view = (calendarDetail, calendarMaskKeywords = []) => ({ calendarDetail, calendarMaskKeywords });
+const BUSY = {
+  id: null, title: 'Busy', start: '2026-03-02T09:00:00+01:00', end: '2026-03-02T10:00:00+01:00',
+  isAllDay: false, location: null, organizer: null,
+};
+
+test('the default view is the owner\'s full view', () => {
+  const full = {
+    id: 'ev1', title: 'Quarterly review', start: '2026-03-02T09:00:00+01:00', end: '2026-03-02T10:00:00+01:00',
+    isAllDay: false, location: 'Room 4.12', organizer: 'boss@example.com',
+  };
+  assert.deepEqual(simplifyEvent(event()), full);
+  assert.deepEqual(simplifyEvent(event(), view('full')), full);
+  // a view without a (valid) calendarDetail is full too, like a grant that predates the setting
+  assert.deepEqual(simplifyEvent(event(), {}), full);
+  assert.deepEqual(simplifyEvent(event(), view('everything')), full);
+});
+
+test('the owner sees their own private events and keyword matches', () => {
+  assert.equal(simplifyEvent(event({ visibility: 'private' })).title, 'Quarterly review');
+});
+
+test('a private or confidential event becomes a Busy block for guests', () => {
+  assert.deepEqual(simplifyEvent(event({ visibility: 'private' }), view('full')), BUSY);
+  assert.deepEqual(simplifyEvent(event({ visibility: 'confidential' }), view('titles')), BUSY);
+  assert.equal(simplifyEvent(event({ visibility: 'public' }), view('full')).title, 'Quarterly review');
+});
+
+test('a keyword in the title or description masks the event under titles', () => {
+  assert.deepEqual(simplifyEvent(event(), view('titles', ['quarterly'])), BUSY);
+  assert.deepEqual(simplifyEvent(event(), view('titles', ['shared drive'])), BUSY);
+  assert.deepEqual(simplifyEvent(event(), view('full', ['review'])), BUSY);
+  // location and organizer are not searched
+  assert.equal(simplifyEvent(event(), view('titles', ['room 4'])).title, 'Quarterly review');
+  assert.equal(isMaskedEvent(event({ summary: undefined, description: undefined }), ['quarterly']), false);
+});
+
+test('below full, location and organizer are stripped; attendees never leave', () => {
+  const titles = simplifyEvent(event(), view('titles'));
+  assert.deepEqual(titles, { ...BUSY, id: 'ev1', title: 'Quarterly review' });
+  assert.deepEqual(simplifyEvent(event(), view('busy')), BUSY);
+  for (const v of [null, view('full'), view('titles'), view('busy')]) {
+    assert.equal('attendees' in simplifyEvent(event(), v), false);
+  }
+});
+
+test('all-day events and untitled events', () => {
+  const allDay = simplifyEvent(event({ summary: '', start: { date: '2026-03-02' }, end: { date: '2026-03-03' } }), view('titles'));
+  assert.equal(allDay.isAllDay, true);
+  assert.equal(allDay.start, '2026-03-02');
+  assert.equal(allDay.title, '(no title)');
+});
+
+test('sanitizeMaskKeywords', () => {
+  assert.equal(sanitizeMaskKeywords('doctor'), null);
+  assert.deepEqual(sanitizeMaskKeywords([' Doctor ', 'doctor', '', 'x'.repeat(50)]), ['doctor', 'x'.repeat(40)]);
+  assert.equal(sanitizeMaskKeywords(Array.from({ length: 30 }, (_, i) => `w${i}`)).length, 20);
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calendarRange, presetRange, zonedToUtcMs } from '../modules/calendarTime.js';
+
+const TZ = 'Asia/Kolkata';
+const at = (ymd, hhmm = '00:00') => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return zonedToUtcMs(ymd, h * 60 + m, TZ);
+};
+const NOW = at('2026-03-04', '15:20'); // a Wednesday
+const range = (query, opts = {}) => calendarRange(query, TZ, { now: NOW, ...opts });
+
+test('zonedToUtcMs', () => {
+  assert.equal(at('2026-03-04'), Date.parse('2026-03-03T18:30:00Z'));
+  assert.equal(zonedToUtcMs('2026-07-01', 9 * 60, 'America/New_York'), Date.parse('2026-07-01T13:00:00Z'));
+  assert.equal(zonedToUtcMs('2026-01-01', 9 * 60, 'America/New_York'), Date.parse('2026-01-01T14:00:00Z'));
+});
+
+test('presets use day boundaries in the time zone', () => {
+  assert.deepEqual(range({ range: 'today' }), { mode: 'today', fromMs: NOW, toMs: at('2026-03-05') });
+  assert.deepEqual(range({ day: 'tomorrow' }), { mode: 'tomorrow', fromMs: at('2026-03-05'), toMs: at('2026-03-06') });
+  assert.deepEqual(range({ range: 'this_week' }), { mode: 'this_week', fromMs: NOW, toMs: at('2026-03-09') });
+  assert.deepEqual(range({ range: 'next_week' }), { mode: 'next_week', fromMs: at('2026-03-09'), toMs: at('2026-03-16') });
+  assert.deepEqual(range({ range: 'weekend' }), { mode: 'weekend', fromMs: at('2026-03-07'), toMs: at('2026-03-09') });
+});
+
+test('on a weekend, weekend is the rest of it and next_week starts on Monday', () => {
+  const sunday = at('2026-03-08', '10:00');
+  assert.deepEqual(presetRange('weekend', TZ, sunday), [sunday, at('2026-03-09')]);
+  assert.deepEqual(presetRange('next_week', TZ, sunday), [at('2026-03-09'), at('2026-03-16')]);
+});
+
+test('days=N runs to the end of the Nth day', () => {
+  assert.deepEqual(range({ days: '1' }), { mode: 'days', fromMs: NOW, toMs: at('2026-03-05') });
+  assert.deepEqual(range({ days: '3' }), { mode: 'days', fromMs: NOW, toMs: at('2026-03-07') });
+  assert.deepEqual(range({ days: '0' }), { error: 'invalid_days' });
+  assert.deepEqual(range({ days: '32' }), { error: 'invalid_days' });
+  assert.deepEqual(range({ days: '10' }, { maxDays: 7 }), { error: 'invalid_days' });
+});
+
+test('from/to take ISO or epoch ms; to defaults to the end of from\'s day', () => {
+  const from = at('2026-03-06', '09:00');
+  assert.deepEqual(range({ from: new Date(from).toISOString() }), { mode: 'range', fromMs: from, toMs: at('2026-03-07') });
+  assert.deepEqual(range({ from: String(from), to: String(from + 3600000) }), { mode: 'range', fromMs: from, toMs: from + 3600000 });
+  assert.deepEqual(range({ to: String(NOW + 60000) }), { mode: 'range', fromMs: NOW, toMs: NOW + 60000 });
+});
+
+test('bad ranges are errors and no range is null', () => {
+  assert.equal(range({}), null);
+  assert.deepEqual(range({ range: 'someday' }), { error: 'invalid_range' });
+  assert.deepEqual(range({ from: 'soon' }), { error: 'invalid_from' });
+  assert.deepEqual(range({ from: String(NOW), to: 'later' }), { error: 'invalid_to' });
+  assert.deepEqual(range({ from: String(NOW), to: String(NOW) }), { error: 'invalid_range' });
+  assert.deepEqual(range({ from: String(NOW), to: String(NOW + 40 * 86400000) }), { error: 'range_too_long' });
+  assert.deepEqual(range({ range: 'next_week' }, { maxDays: 3 }), { error: 'range_too_long' });
+});
@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeCalendarBackend } from '../modules/calendarBackends.js';
+import { decodePageToken, encodePageToken, mergeCalendarPages } from '../modules/calendarWindow.js';
+
+const HOUR = 3600 * 1000;
+const T0 = Date.parse('2026-03-02T08:00:00Z');
+
+function event(id, hour, extra = {}) {
+  const start = new Date(T0 + hour * HOUR);
+  return {
+    id,
+    iCalUID: `${id}@example.com`,
+    summary: id,
+    start: { dateTime: start.toISOString() },
+    end: { dateTime: new Date(start.getTime() + HOUR / 2).toISOString() },
+    ...extra,
+  };
+}
+
+// work: w0 w2 w4 ...; home: h1 h3 h5 ... (interleaved by the hour), `standup` on both at 6.5
+function fakeBackend() {
+  const work = [0, 2, 4, 6, 8, 10].map(h => event(`w${h}`, h));
+  const home = [1, 3, 5, 7, 9, 11].map(h => event(`h${h}`, h));
+  const standup = event('standup', 6.5);
+  return new FakeCalendarBackend({
+    data: {
+      calendars: [{ id: 'work', summary: 'Work', primary: true }, { id: 'home', summary: 'Home' }],
+      events: { work: [...work, { ...standup, id: 'standup-work' }], home: [...home, { ...standup, id: 'standup-home' }] },
+    },
+  });
+}
+const CALENDARS = [{ id: 'work', summary: 'Work' }, { id: 'home', summary: 'Home' }];
+
+function mergedPage({ cursor = null, maxResults = 4, backendPageSize = 3, calendars = CALENDARS, backend = fakeBackend(), ...rest } = {}) {
+  return mergeCalendarPages(calendars, {
+    cursor,
+    maxResults,
+    fetchPage: (c, token) => backend.listEvents({ calendarId: c.id, maxResults: backendPageSize, pageToken: token }),
+    toItem: (e, c) => ({ id: e.id, calendar: c.id }),
+    ...rest,
+  });
+}
+
+// Follows nextPageToken to the end -> every item, page by page
+async function allPages(opts = {}) {
+  const pages = [];
+  let cursor = null;
+  for (let i = 0; i < 20; i++) {
+    const page = await mergedPage({ ...opts, cursor });
+    pages.push(page.items.map(x => x.id));
+    if (!page.nextPageToken) return pages;
+    cursor = decodePageToken(page.nextPageToken);
+    assert.ok(cursor);
+  }
+  throw new Error('no end of pages');
+}
+
+test('two calendars come back interleaved by start time', async () => {
+  const page = await mergedPage({ maxResults: 5, backendPageSize: 10 });
+  assert.deepEqual(page.items, [
+    { id: 'w0', calendar: 'work' }, { id: 'h1', calendar: 'home' }, { id: 'w2', calendar: 'work' },
+    { id: 'h3', calendar: 'home' }, { id: 'w4', calendar: 'work' },
+  ]);
+  assert.deepEqual(page.calendars.map(c => c.id), ['work', 'home']);
+  assert.ok(page.nextPageToken);
+});
+
+test('an event on both calendars (same iCalUID and start) comes back once', async () => {
+  const page = await mergedPage({ maxResults: 50, backendPageSize: 50 });
+  const ids = page.items.map(x => x.id);
+  assert.equal(ids.filter(id => id.startsWith('standup')).length, 1);
+  assert.deepEqual(ids, ['w0', 'h1', 'w2', 'h3', 'w4', 'h5', 'w6', 'standup-work', 'h7', 'w8', 'h9', 'w10', 'h11']);
+  assert.equal(page.nextPageToken, null);
+});
+
+test('resuming from the token gives no repeats and no gaps', async () => {
+  const everything = (await mergedPage({ maxResults: 50, backendPageSize: 50 })).items.map(x => x.id);
+  for (const [maxResults, backendPageSize] of [[1, 1], [2, 3], [4, 3], [3, 5], [5, 2]]) {
+    const pages = await allPages({ maxResults, backendPageSize });
+    assert.deepEqual(pages.flat(), everything, `max=${maxResults} backend=${backendPageSize}`);
+    assert.ok(pages.every(p => p.length <= maxResults));
+  }
+});
+
+test('a duplicate split across a page boundary is still dropped', async () => {
+  // max=8 ends the first page on standup-work; its home copy is the first thing the next page sees
+  const pages = await allPages({ maxResults: 8, backendPageSize: 50 });
+  assert.equal(pages[0].at(-1), 'standup-work');
+  assert.deepEqual(pages[1].slice(0, 1), ['h7']);
+  const cursor = decodePageToken((await mergedPage({ maxResults: 8, backendPageSize: 50 })).nextPageToken);
+  assert.deepEqual(cursor.k, ['standup@example.com|2026-03-02T14:30:00.000Z']);
+});
+
+test('filtered-out events are consumed without being emitted', async () => {
+  const pages = await allPages({ maxResults: 3, filter: e => !e.id.startsWith('h') });
+  assert.deepEqual(pages.flat(), ['w0', 'w2', 'w4', 'w6', 'standup-work', 'w8', 'w10']);
+});
+
+test('toItem returning null drops an event after de-duplication', async () => {
+  const page = await mergedPage({
+    maxResults: 50, backendPageSize: 50,
+    toItem: (e, c) => (e.id === 'standup-work' ? null : { id: e.id, calendar: c.id }),
+  });
+  // the work copy won the de-duplication, so the home copy doesn't show either
+  assert.equal(page.items.some(x => x.id.startsWith('standup')), false);
+});
+
+test('a calendar that is gone (404) is skipped, other errors are thrown', async () => {
+  const page = await mergedPage({ calendars: [...CALENDARS, { id: 'deleted' }], maxResults: 50, backendPageSize: 50 });
+  assert.deepEqual(page.skipped, ['deleted']);
+  assert.equal(page.items.length, 13);
+  await assert.rejects(mergedPage({
+    fetchPage: async () => { throw Object.assign(new Error('boom'), { code: 500 }); },
+  }), /boom/);
+});
+
+test('calendars that the cursor has finished are not read again', async () => {
+  const cursor = { c: { home: ['3', 0] }, at: null, k: [] };
+  const page = await mergedPage({ cursor, maxResults: 50, backendPageSize: 50 });
+  assert.deepEqual(page.calendars.map(c => c.id), ['home']);
+  assert.deepEqual(page.items.map(x => x.id), ['standup-home', 'h7', 'h9', 'h11']);
+});
+
+test('page tokens: round trip, legacy per-calendar tokens, garbage', () => {
+  const cursor = { c: { work: ['abc', 2] }, at: T0, k: ['x|y'] };
+  assert.deepEqual(decodePageToken(encodePageToken(cursor)), cursor);
+  assert.deepEqual(decodePageToken(encodePageToken({ work: 'tok1', home: 'tok2' })), {
+    c: { work: ['tok1', 0], home: ['tok2', 0] }, at: null, k: [],
+  });
+  assert.equal(decodePageToken('not json'), null);
+  assert.equal(decodePageToken(encodePageToken([1, 2])), null);
+  assert.equal(decodePageToken(encodePageToken(null)), null);
+});
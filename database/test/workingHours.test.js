@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_WORKING_HOURS, busyIntervals, describeWorkingHours, parseWorkingHours, subtractIntervals, workingIntervals,
+} from '../modules/workingHours.js';
+import { zonedToUtcMs } from '../modules/calendarTime.js';
+
+const hoursOf = availability => parseWorkingHours({ availability }).hours;
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const every = (days, ranges) => Object.fromEntries(days.map(d => [d, ranges]));
+
+test('weekday shorthand with am/pm', () => {
+  assert.deepEqual(hoursOf('Weekdays 9am-6pm'), every(WEEKDAYS, [[540, 1080]]));
+});
+
+test('day ranges, 24h times and a bare end hour read as pm', () => {
+  assert.deepEqual(hoursOf('Mon-Thu 10:00-18:30, Fri 10-2'), {
+    ...every([1, 2, 3, 4], [[600, 1110]]),
+    5: [[600, 840]],
+  });
+  assert.deepEqual(hoursOf('9-5'), every(WEEKDAYS, [[540, 1020]]));
+  assert.deepEqual(hoursOf('1-5pm'), every(WEEKDAYS, [[780, 1020]]));
+});
+
+test('single days, "to" and trailing day words', () => {
+  assert.deepEqual(hoursOf('Sat 11 to 3'), { 6: [[660, 900]] });
+  assert.deepEqual(hoursOf('8:30-16:30 daily'), every([0, 1, 2, 3, 4, 5, 6], [[510, 990]]));
+  assert.deepEqual(hoursOf('weekends 10am-1pm'), every([0, 6], [[600, 780]]));
+  assert.deepEqual(hoursOf('Fri-Mon 9-12'), every([5, 6, 0, 1], [[540, 720]]));
+});
+
+test('split days keep both ranges', () => {
+  assert.deepEqual(hoursOf('Mon 9-12, Mon 14-18'), { 1: [[540, 720], [840, 1080]] });
+});
+
+test('falls back to calendarPrefs, then to Mon-Fri 9-18', () => {
+  assert.deepEqual(parseWorkingHours({ availability: 'flexible', calendarPrefs: 'Tue 9-11' }), { source: 'calendarPrefs', hours: { 2: [[540, 660]] } });
+  assert.deepEqual(parseWorkingHours({ availability: 'whenever' }), { source: 'default', hours: DEFAULT_WORKING_HOURS });
+  assert.deepEqual(parseWorkingHours(null), { source: 'default', hours: DEFAULT_WORKING_HOURS });
+});
+
+test('describeWorkingHours', () => {
+  const days = describeWorkingHours({ 1: [[540, 1110]], 6: [[0, 1440]] });
+  assert.deepEqual(days.mon, ['09:00-18:30']);
+  assert.deepEqual(days.sat, ['00:00-24:00']);
+  assert.deepEqual(days.sun, []);
+});
+
+test('busyIntervals skips free, cancelled and declined events and merges overlaps', () => {
+  const ev = (start, end, extra = {}) => ({ start: { dateTime: start }, end: { dateTime: end }, ...extra });
+  const busy = busyIntervals([
+    ev('2026-03-02T10:00:00Z', '2026-03-02T11:00:00Z'),
+    ev('2026-03-02T10:30:00Z', '2026-03-02T12:00:00Z'),
+    ev('2026-03-02T13:00:00Z', '2026-03-02T14:00:00Z', { transparency: 'transparent' }),
+    ev('2026-03-02T15:00:00Z', '2026-03-02T16:00:00Z', { status: 'cancelled' }),
+    ev('2026-03-02T17:00:00Z', '2026-03-02T18:00:00Z', { attendees: [{ self: true, responseStatus: 'declined' }] }),
+    { start: { date: '2026-03-03' }, end: { date: '2026-03-04' } },
+  ], 'Asia/Kolkata');
+  assert.deepEqual(busy, [
+    [Date.parse('2026-03-02T10:00:00Z'), Date.parse('2026-03-02T12:00:00Z')],
+    [Date.parse('2026-03-02T18:30:00Z'), Date.parse('2026-03-03T18:30:00Z')], // all-day, in the owner's zone
+  ]);
+});
+
+test('workingIntervals follow the owner time zone and clip to the range', () => {
+  const tz = 'Asia/Kolkata';
+  const from = zonedToUtcMs('2026-03-06', 12 * 60, tz); // Friday noon
+  const to = zonedToUtcMs('2026-03-09', 12 * 60, tz);   // Monday noon
+  assert.deepEqual(workingIntervals(DEFAULT_WORKING_HOURS, from, to, tz), [
+    [from, zonedToUtcMs('2026-03-06', 18 * 60, tz)],
+    [zonedToUtcMs('2026-03-09', 9 * 60, tz), to],
+  ]);
+});
+
+test('workingIntervals across a DST change', () => {
+  const tz = 'Europe/London';
+  const [day] = workingIntervals({ 1: [[540, 600]] }, Date.parse('2026-03-30T00:00:00Z'), Date.parse('2026-03-31T00:00:00Z'), tz);
+  assert.deepEqual(day, [Date.parse('2026-03-30T08:00:00Z'), Date.parse('2026-03-30T09:00:00Z')]); // BST
+});
+
+test('subtractIntervals leaves the gaps', () => {
+  assert.deepEqual(subtractIntervals([[0, 100], [200, 300]], [[10, 20], [50, 250], [290, 400]]), [[0, 10], [20, 50], [250, 290]]);
+  assert.deepEqual(subtractIntervals([[0, 100]], []), [[0, 100]]);
+  assert.deepEqual(subtractIntervals([[0, 100]], [[0, 100]]), []);
+});